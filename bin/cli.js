@@ -0,0 +1,638 @@
+// bin/cli.js
+
+const fs = require('node:fs');
+const readline = require('node:readline');
+const { parseArgs } = require('node:util');
+const { Game, Config, Color, Player, BotPlayer, Simulator, events, errors, constants } = require('../index');
+
+const { colors, values, extraValues, flipValues } = constants;
+
+const USAGE = `Usage: uno play [options]
+       uno simulate [options]
+
+Options:
+  --players <n>        number of players (default 2)
+  --humans <n>         human seats, the others are played by the computer (default 1)
+  --bot <strategy>     computer strategy: random, greedy or defensive (default greedy)
+  --names <a,b,...>    player names
+  --seed <seed>        seed for shuffling and dealing
+  --initial-cards <n>  cards dealt to every player (default 7)
+  --rotation <CW|CCW>  starting direction (default CW)
+  --deck <file>        JSON deck recipe, the count of every value per color
+  --stack              allow stacking Draw Two and Wild Draw Four cards
+  --stack-rules <a,b>  what may be stacked: same, two-on-four, four-on-two, reverse, skip
+                       (implies --stack, default same)
+  --draw-rule <rule>   after drawing: pass, play-drawn or until-playable (default pass)
+  --seven-o            a 7 swaps hands with a chosen player, a 0 passes all hands on
+  --jump-in            play an identical card out of turn
+  --flip               play UNO Flip with double-sided cards (not with --deck)
+  --no-challenge       Wild Draw Four can not be challenged
+  --uno-penalty <n>    cards drawn when caught without saying UNO (default 2)
+  --places <n>         players that have to go out before the game ends (default 1)
+  --save <file>        save the game to the file after every turn
+  --load <file>        resume a saved game
+  --replay <file>      write a replay of the game to the file after every turn
+  --no-color           plain text output
+  -h, --help           show this help
+
+Simulate options (the house rule flags above apply too):
+  --games <n>          games to play (default 100)
+  --bots <a,b,...>     strategy of every seat (default --players seats of --bot)
+  --format <json|csv>  report format (default json)
+
+In game: play a card by its number, "d" draws, "p" passes after drawing,
+"u" says UNO, "k" catches a player that forgot to say UNO, "c"/"a" challenge
+or accept a Wild Draw Four, "z" takes back your last move and "q" quits.`;
+
+const OPTIONS = {
+  players: { type: 'string' },
+  humans: { type: 'string' },
+  bot: { type: 'string' },
+  names: { type: 'string' },
+  seed: { type: 'string' },
+  'initial-cards': { type: 'string' },
+  rotation: { type: 'string' },
+  deck: { type: 'string' },
+  stack: { type: 'boolean' },
+  'stack-rules': { type: 'string' },
+  'draw-rule': { type: 'string' },
+  'seven-o': { type: 'boolean' },
+  'jump-in': { type: 'boolean' },
+  flip: { type: 'boolean' },
+  'no-challenge': { type: 'boolean' },
+  'uno-penalty': { type: 'string' },
+  places: { type: 'string' },
+  save: { type: 'string' },
+  load: { type: 'string' },
+  replay: { type: 'string' },
+  'no-color': { type: 'boolean' },
+  games: { type: 'string' },
+  bots: { type: 'string' },
+  format: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const ANSI = {
+  [colors.RED]: '\x1b[1;31m',
+  [colors.GREEN]: '\x1b[1;32m',
+  [colors.YELLOW]: '\x1b[1;33m',
+  [colors.BLUE]: '\x1b[1;34m',
+  [colors.BLACK]: '\x1b[1;35m',
+  [flipValues.colors.PINK]: '\x1b[1;95m',
+  [flipValues.colors.TEAL]: '\x1b[1;36m',
+  [flipValues.colors.ORANGE]: '\x1b[1;38;5;208m',
+  [flipValues.colors.PURPLE]: '\x1b[1;38;5;93m',
+  reset: '\x1b[0m',
+};
+
+const VALUE_LABELS = {
+  [values.ZERO]: '0',
+  [values.ONE]: '1',
+  [values.TWO]: '2',
+  [values.THREE]: '3',
+  [values.FOUR]: '4',
+  [values.FIVE]: '5',
+  [values.SIX]: '6',
+  [values.SEVEN]: '7',
+  [values.EIGHT]: '8',
+  [values.NINE]: '9',
+  [values.SKIP]: 'Skip',
+  [values.REVERSE]: 'Reverse',
+  [values.DRAW_TWO]: '+2',
+  [values.WILD]: 'Wild',
+  [values.WILD_DRAW_FOUR]: 'Wild +4',
+  [extraValues.WILD_SHUFFLE_HANDS]: 'Wild Shuffle Hands',
+  [extraValues.WILD_CUSTOMIZABLE]: 'Wild Customizable',
+  [extraValues.SKIP_EVERYONE]: 'Skip Everyone',
+  [flipValues.values.DRAW_ONE]: '+1',
+  [flipValues.values.WILD_DRAW_TWO]: 'Wild +2',
+  [flipValues.values.DRAW_FIVE]: '+5',
+  [flipValues.values.WILD_DRAW_COLOR]: 'Wild Draw Color',
+  [flipValues.values.FLIP]: 'Flip',
+};
+
+const DRAW_RULES = {
+  pass: 'PASS',
+  'play-drawn': 'PLAY_DRAWN',
+  'until-playable': 'DRAW_UNTIL_PLAYABLE',
+};
+
+const STACK_RULES = {
+  same: 'sameValue',
+  'two-on-four': 'drawTwoOnDrawFour',
+  'four-on-two': 'drawFourOnDrawTwo',
+  reverse: 'reverse',
+  skip: 'skip',
+};
+
+/**
+ * @param {string} value
+ * @param {string} name
+ * @param {number} min
+ * @returns {number}
+ */
+function toInteger(value, name, min) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) throw new Error(`--${name} must be an integer >= ${min}`);
+  return number;
+}
+
+/**
+ * Parses the command line of the uno bin.
+ * @param {string[]} argv arguments without node and the script path
+ * @returns {{ command: string, options: object }}
+ */
+function parseOptions(argv) {
+  const { values: raw, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  const options = {
+    players: raw.players !== undefined ? toInteger(raw.players, 'players', 2) : 2,
+    humans: raw.humans !== undefined ? toInteger(raw.humans, 'humans', 0) : 1,
+    bot: raw.bot ?? 'greedy',
+    names: raw.names ? raw.names.split(',').map(n => n.trim()).filter(Boolean) : [],
+    seed: raw.seed ?? null,
+    initialCards: raw['initial-cards'] !== undefined ? toInteger(raw['initial-cards'], 'initial-cards', 1) : 7,
+    rotation: (raw.rotation ?? 'CW').toUpperCase(),
+    deck: raw.deck ?? null,
+    stack: (raw.stack ?? false) || raw['stack-rules'] !== undefined,
+    stackRules: raw['stack-rules'] ? raw['stack-rules'].split(',').map(r => r.trim()).filter(Boolean) : ['same'],
+    drawRule: DRAW_RULES[raw['draw-rule'] ?? 'pass'],
+    sevenO: raw['seven-o'] ?? false,
+    jumpIn: raw['jump-in'] ?? false,
+    variant: raw.flip ? 'FLIP' : 'CLASSIC',
+    challenge: !raw['no-challenge'],
+    unoPenalty: raw['uno-penalty'] !== undefined ? toInteger(raw['uno-penalty'], 'uno-penalty', 0) : 2,
+    places: raw.places !== undefined ? toInteger(raw.places, 'places', 1) : 1,
+    save: raw.save ?? null,
+    load: raw.load ?? null,
+    replay: raw.replay ?? null,
+    color: !raw['no-color'],
+    games: raw.games !== undefined ? toInteger(raw.games, 'games', 1) : 100,
+    bots: raw.bots ? raw.bots.split(',').map(b => b.trim()).filter(Boolean) : [],
+    format: (raw.format ?? 'json').toLowerCase(),
+    help: raw.help ?? false,
+  };
+
+  if (options.rotation !== 'CW' && options.rotation !== 'CCW') throw new Error('--rotation must be CW or CCW');
+  for (const rule of options.stackRules) {
+    if (!STACK_RULES[rule]) throw new Error(`--stack-rules must be a list of ${Object.keys(STACK_RULES).join(', ')}`);
+  }
+  if (!options.drawRule) throw new Error(`--draw-rule must be one of ${Object.keys(DRAW_RULES).join(', ')}`);
+  if (options.variant === 'FLIP' && options.deck) throw new Error('--deck can not be used with --flip');
+  if (options.humans > options.players) throw new Error('--humans can not be more than --players');
+  for (const bot of [options.bot, ...options.bots]) {
+    if (!BotPlayer.strategies[bot]) {
+      throw new Error(`--bot must be one of ${Object.keys(BotPlayer.strategies).join(', ')}`);
+    }
+  }
+  if (options.format !== 'json' && options.format !== 'csv') throw new Error('--format must be json or csv');
+  if (options.names.length > 0 && options.names.length !== options.players) {
+    throw new Error('--names needs one name per player');
+  }
+
+  return { command: positionals[0] ?? (options.help ? 'help' : 'play'), options };
+}
+
+/**
+ * Maps the house rule flags onto a Config.
+ * @param {object} options result of parseOptions
+ * @returns {Config}
+ */
+function createConfig(options) {
+  const config = new Config()
+    .setInitialCards(options.initialCards)
+    .setDefaultRotation(options.rotation)
+    .setStackCards(options.stack)
+    .setStacking(Object.fromEntries(
+      Object.entries(STACK_RULES).map(([flag, rule]) => [rule, options.stackRules.includes(flag)])
+    ))
+    .setDrawRule(options.drawRule)
+    .setSevenO(options.sevenO)
+    .setJumpIn(options.jumpIn)
+    .setVariant(options.variant)
+    .setChallengeWildDrawFour(options.challenge)
+    .setUnoPenalty(options.unoPenalty)
+    .setPlacesToFinish(options.places);
+
+  if (options.deck) {
+    const recipe = JSON.parse(fs.readFileSync(options.deck, 'utf8'));
+    // colors of the recipe are new colors unless they are standard ones
+    for (const color of Object.keys(recipe)) {
+      if (!(color in colors)) Color.register(color);
+    }
+    config.setDeck(recipe);
+  }
+  if (options.seed !== null) {
+    config.setSeed(/^\d+$/.test(options.seed) ? Number(options.seed) : options.seed);
+  }
+  return config;
+}
+
+/**
+ * @param {import('../src/logic/cards/Card')} card
+ * @param {boolean} [useColor=true]
+ * @returns {string}
+ */
+function renderCard(card, useColor = true) {
+  const color = card.color.color;
+  const label = card.wild && color === colors.BLACK
+    ? VALUE_LABELS[card.value.value] ?? card.value.value
+    : `${color[0]}${color.slice(1).toLowerCase()} ${VALUE_LABELS[card.value.value] ?? card.value.value}`;
+
+  if (!useColor) return `[${label}]`;
+  return `${ANSI[color] ?? ''}[${label}]${ANSI.reset}`;
+}
+
+/**
+ * Shortest prefix of every color that tells it apart from the others,
+ * e.g. "pi" and "pu" for pink and purple
+ * @param {string[]} choices
+ * @returns {string[]}
+ */
+function colorShortcuts(choices) {
+  return choices.map(color => {
+    const name = color.toLowerCase();
+    let length = 1;
+    while (length < name.length && choices.some(c => c !== color && c.toLowerCase().startsWith(name.slice(0, length)))) length++;
+    return name.slice(0, length);
+  });
+}
+
+/**
+ * Numbered hand for the picker
+ * @param {import('../src/logic/cards/Card')[]} cards
+ * @param {boolean} [useColor=true]
+ * @returns {string}
+ */
+function renderHand(cards, useColor = true) {
+  return cards.map((card, i) => `${i + 1}: ${renderCard(card, useColor)}`).join('  ');
+}
+
+/**
+ * Prints what happens at the table
+ * @param {Game} game
+ * @param {object} ui
+ */
+function registerLogging(game, ui) {
+  const card = c => renderCard(c, ui.color);
+  const manager = game.eventManager;
+
+  manager.addEvent(new events.PlayerPlayEvent((player, played) => {
+    ui.print(`${player.name} played ${card(played)}`);
+  }));
+  manager.addEvent(new events.PlayerDrawEvent((player, cards) => {
+    if (ui.isHuman(player) && ui.humanCount === 1) {
+      ui.print(`${player.name} drew ${cards.map(card).join(' ')}`);
+    } else {
+      ui.print(`${player.name} drew ${cards.length} card${cards.length === 1 ? '' : 's'}`);
+    }
+  }));
+  manager.addEvent(new events.PlayerSkipEvent(player => ui.print(`${player.name} is skipped`)));
+  manager.addEvent(new events.DirectionChangeEvent(rotation => ui.print(`Direction is now ${rotation}`)));
+  manager.addEvent(new events.HandSwapEvent((player, played, moves) => {
+    if (played.value.value === values.SEVEN) ui.print(`${moves[0].from.name} swaps hands with ${moves[0].to.name}`);
+    else ui.print(`All hands are passed ${game.rotation === 'CW' ? 'clockwise' : 'counterclockwise'}`);
+  }));
+  manager.addEvent(new events.JumpInEvent((player, played, previousPlayer) => {
+    ui.print(`${player.name} jumps in before ${previousPlayer.name}`);
+  }));
+  manager.addEvent(new events.FlipEvent((player, played, side) => {
+    ui.print(`All cards are flipped, the ${side.toLowerCase()} side is up. Top card: ${card(game.discardedCards.getTopCard())}`);
+  }));
+  manager.addEvent(new events.UndoEvent(entry => {
+    ui.print(`Took back: ${game.players[entry.player].name} ${entry.type.toLowerCase().replace('_', ' ')}`);
+  }));
+  manager.addEvent(new events.PlayerUnoEvent(player => ui.print(`${player.name}: UNO!`)));
+  manager.addEvent(new events.PlayerUnoCatchEvent((accuser, target, cards) => {
+    ui.print(`${accuser.name} caught ${target.name} without UNO, ${target.name} draws ${cards.length}`);
+  }));
+  manager.addEvent(new events.ContestEvent((victim, player, outcome, penalized, cards) => {
+    if (outcome === 'ACCEPTED') return;
+    ui.print(`${victim.name} challenged ${player.name}: ${outcome === 'GUILTY' ? 'guilty' : 'not guilty'}, ${penalized.name} draws ${cards}`);
+  }));
+  manager.addEvent(new events.StackDrawEvent((player, played, amount) => ui.print(`Stack is at +${amount}`)));
+  manager.addEvent(new events.DeckReshuffleEvent(() => ui.print('The discard pile was shuffled into a new deck')));
+}
+
+/**
+ * Takes back the last action of the player and all actions after it.
+ * @param {Game} game
+ * @param {Player} player
+ * @returns {boolean} false if the player has no action that can be undone
+ */
+function undoLastMove(game, player) {
+  const history = game.history();
+  const last = history.map(entry => entry.player).lastIndexOf(game.players.indexOf(player));
+  if (last === -1 || history.length - last > game.config.undoLimit) return false;
+
+  for (let i = history.length; i > last; i--) game.undo();
+  return true;
+}
+
+/**
+ * Asks a human player for their move until one is made.
+ * @param {Game} game
+ * @param {import('../src/logic/players/Player')} player
+ * @param {object} ui
+ * @returns {Promise<"done" | "quit">}
+ */
+async function humanTurn(game, player, ui) {
+  const card = c => renderCard(c, ui.color);
+
+  if (ui.humanCount > 1) await ui.ask(`\n${player.name}, it's your turn. Press enter to show your hand.`);
+
+  while (true) {
+    if (game.state === 'FINISHED' || game.currentPlayer !== player) return 'done';
+
+    ui.print('');
+    ui.print(`Top card: ${card(game.discardedCards.getTopCard())}   Direction: ${game.rotation}`);
+    ui.print(`Opponents: ${game.players.filter(p => p !== player).map(p => `${p.name} (${p.hand.cards.length})`).join(', ')}`);
+    if (game.state === 'STACK_DRAW') ui.print(`Stack pending: +${game.stackDrawAmount}, stack on it or (d)raw the pile`);
+    ui.print(`Your hand: ${renderHand(player.hand.cards, ui.color)}`);
+
+    if (game.state === 'CONTEST') {
+      const answer = (await ui.ask(`${game.contest.player.name} played a Wild Draw Four. (c)hallenge or (a)ccept? `)).trim().toLowerCase();
+      if (answer === 'q') return 'quit';
+      if (answer === 'c') game.challenge(player);
+      else if (answer === 'a') game.accept(player);
+      continue;
+    }
+
+    const drawn = game.state === 'DRAWN';
+    if (drawn) ui.print(`You drew ${card(game.drawnCard)}, play it or pass.`);
+
+    const question = drawn ? 'Card number, (p)ass, (u)no, (k) catch, (z) undo, (q)uit: ' : 'Card number, (d)raw, (u)no, (k) catch, (z) undo, (q)uit: ';
+    const answer = (await ui.ask(question)).trim().toLowerCase();
+    if (answer === 'q') return 'quit';
+
+    if (answer === 'd' && !drawn) {
+      game.draw(player);
+      continue;
+    }
+
+    if (answer === 'p' && drawn) {
+      game.pass(player);
+      continue;
+    }
+
+    if (answer === 'u') {
+      if (!game.callUno(player)) ui.print('You can only say UNO with two cards on your turn or one card left.');
+      continue;
+    }
+
+    if (answer === 'k') {
+      if (!game.unoCatchable || !game.catchUno(player, game.unoCatchable)) ui.print('Nobody to catch.');
+      continue;
+    }
+
+    if (answer === 'z') {
+      if (!undoLastMove(game, player)) ui.print('Nothing to undo.');
+      continue;
+    }
+
+    const index = Number(answer) - 1;
+    const picked = player.hand.cards[index];
+    if (!Number.isInteger(index) || !picked) {
+      ui.print('Unknown input.');
+      continue;
+    }
+
+    if (picked.wild) {
+      const choices = game.getPickableColors();
+      const shortcuts = colorShortcuts(choices);
+      const names = choices.map((c, i) => `(${shortcuts[i]})${c.slice(shortcuts[i].length).toLowerCase()}`).join(', ');
+      const input = (await ui.ask(`Pick a color: ${names}: `)).trim().toLowerCase();
+      const color = choices.find((c, i) => c.toLowerCase() === input || shortcuts[i] === input);
+      if (!color) {
+        ui.print('Unknown color.');
+        continue;
+      }
+      picked.wildPickedColor = new Color(color, game.config.variant);
+    }
+
+    const target = await askTarget(game, player, picked, ui);
+    if (target === undefined) continue;
+
+    if (game.play(player, picked, target)) return 'done';
+    ui.print(`You can't play ${card(picked)} now.`);
+  }
+}
+
+/**
+ * Asks for the player to swap hands with when a 7 is played with the
+ * Seven-O rule.
+ * @param {Game} game
+ * @param {import('../src/logic/players/Player')} player
+ * @param {import('../src/logic/cards/Card')} card
+ * @param {object} ui
+ * @returns {Promise<import('../src/logic/players/Player') | null | undefined>} null if no target is needed, undefined for an unknown answer
+ */
+async function askTarget(game, player, card, ui) {
+  if (!game.config.sevenO || card.value.value !== values.SEVEN || player.hand.cards.length < 2) return null;
+
+  const opponents = game.players.filter(p => p !== player && !game.hasFinished(p));
+  ui.print(`Swap hands with: ${opponents.map((p, i) => `${i + 1}) ${p.name} (${p.hand.cards.length})`).join(', ')}`);
+  const target = opponents[Number((await ui.ask('Player number: ')).trim()) - 1];
+  if (!target) ui.print('Unknown player.');
+  return target;
+}
+
+/**
+ * Lets everyone but the current player jump in, see Config.jumpIn. Bots
+ * always do, humans are asked. Only the first jump-in of a turn counts.
+ * @param {Game} game
+ * @param {object} ui
+ * @returns {Promise<"done" | "quit">}
+ */
+async function offerJumpIns(game, ui) {
+  const turn = game.turn;
+  for (const player of game.players) {
+    if (game.state === 'FINISHED' || game.turn !== turn) break;
+    if (player === game.currentPlayer) continue;
+
+    if (!ui.isHuman(player)) {
+      player.takeTurn(game);
+      continue;
+    }
+
+    const jumpIn = game.getLegalActions(player).find(a => a.type === 'JUMP_IN');
+    if (!jumpIn) continue;
+    const answer = (await ui.ask(`${player.name}, jump in with ${renderCard(jumpIn.card, ui.color)}? (y/n/q) `)).trim().toLowerCase();
+    if (answer === 'q') return 'quit';
+    if (answer !== 'y') continue;
+
+    const target = await askTarget(game, player, jumpIn.card, ui);
+    if (target !== undefined) game.jumpIn(player, jumpIn.card, turn, target);
+  }
+  return 'done';
+}
+
+/**
+ * Creates a new game from the options or loads the saved one.
+ * The first `humans` seats are human players, the others bots.
+ * @param {object} options
+ * @returns {Game}
+ */
+function setupGame(options) {
+  const config = createConfig(options);
+
+  if (options.load) {
+    // BotPlayer.fromJSON brings back the saved strategies and the human players
+    config.override.classes.Player = BotPlayer;
+    return Game.fromJSON(fs.readFileSync(options.load, 'utf8'), config);
+  }
+
+  // humans can take back their moves, see undoLastMove
+  if (options.humans > 0) config.setUndoLimit(20);
+
+  const Bot = BotPlayer.strategies[options.bot];
+  const players = Array.from({ length: options.players }, (_, i) => {
+    const human = i < options.humans;
+    const name = options.names[i] ?? (human ? `Player ${i + 1}` : `Bot ${i + 1 - options.humans}`);
+    return human ? new Player(name, i) : new Bot(name, i);
+  });
+
+  return new Game(players, config);
+}
+
+/**
+ * Runs a game in the terminal until it ends or a human quits.
+ * @param {object} options result of parseOptions
+ * @param {{ input: NodeJS.ReadableStream, output: NodeJS.WritableStream }} io
+ * @param {Game} [game] game from setupGame
+ * @returns {Promise<Game>}
+ */
+async function playGame(options, io, game = setupGame(options)) {
+  // players are only created on start, a loaded game has them already
+  const seats = game.players.length > 0 ? game.players : game.initPlayers;
+  const humans = seats.filter(p => !(p instanceof BotPlayer)).length;
+  const rl = readline.createInterface({ input: io.input, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+
+  const ui = {
+    color: options.color,
+    humanCount: humans,
+    print: text => io.output.write(`${text}\n`),
+    isHuman: player => !(player instanceof BotPlayer),
+    async ask(question) {
+      io.output.write(question);
+      const { value, done } = await lines.next();
+      // closing the input quits the game
+      return done ? 'q' : value;
+    },
+  };
+
+  registerLogging(game, ui);
+
+  try {
+    if (game.state === 'NOT_STARTED') game.start();
+    ui.print(`${game.currentPlayer.name} starts. Top card: ${renderCard(game.discardedCards.getTopCard(), ui.color)}`);
+
+    while (game.state !== 'FINISHED') {
+      const player = game.currentPlayer;
+
+      if (ui.isHuman(player)) {
+        if ((await humanTurn(game, player, ui)) === 'quit') {
+          ui.print('Game stopped.');
+          break;
+        }
+      } else {
+        player.takeTurn(game);
+      }
+
+      if (game.config.jumpIn && (await offerJumpIns(game, ui)) === 'quit') {
+        ui.print('Game stopped.');
+        break;
+      }
+
+      if (options.save) fs.writeFileSync(options.save, JSON.stringify(game));
+      if (options.replay) fs.writeFileSync(options.replay, JSON.stringify(game.toReplay()));
+    }
+
+    if (game.state === 'FINISHED') {
+      ui.print(`\nGame over! ${game.finishOrder.map((p, i) => `${i + 1}. ${p.name}`).join('  ')}`);
+    }
+  } finally {
+    rl.close();
+  }
+
+  return game;
+}
+
+/**
+ * Plays bots-only games and writes the report.
+ * @param {object} options result of parseOptions
+ * @param {{ output: NodeJS.WritableStream }} io
+ * @param {Config} [config] config from createConfig
+ * @returns {ReturnType<Simulator["run"]>}
+ */
+function simulate(options, io, config = createConfig(options)) {
+  const strategies = options.bots.length > 0 ? options.bots : Array(options.players).fill(options.bot);
+  const simulator = new Simulator({
+    games: options.games,
+    strategies,
+    seed: config.seed ?? undefined,
+    variants: [{ name: 'default', config }],
+  });
+
+  const report = simulator.run();
+  io.output.write(options.format === 'csv' ? Simulator.toCSV(report) : `${JSON.stringify(report, null, 2)}\n`);
+  return report;
+}
+
+/**
+ * Entry point of the uno bin
+ * @param {string[]} argv arguments without node and the script path
+ * @param {{ input: NodeJS.ReadableStream, output: NodeJS.WritableStream }} [io]
+ * @returns {Promise<number>} exit code
+ */
+async function run(argv, io = { input: process.stdin, output: process.stdout }) {
+  let parsed;
+  try {
+    parsed = parseOptions(argv);
+  } catch (error) {
+    io.output.write(`${error.message}\n\n${USAGE}\n`);
+    return 1;
+  }
+
+  const { command, options } = parsed;
+  if (command === 'help' || options.help) {
+    io.output.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (command !== 'play' && command !== 'simulate') {
+    io.output.write(`Unknown command: ${command}\n\n${USAGE}\n`);
+    return 1;
+  }
+
+  // unreadable deck recipes and saves are reported like wrong options
+  let setup;
+  try {
+    setup = command === 'simulate' ? createConfig(options) : setupGame(options);
+  } catch (error) {
+    io.output.write(`${error.message}\n\n${USAGE}\n`);
+    return 1;
+  }
+
+  try {
+    if (command === 'simulate') simulate(options, io, setup);
+    else await playGame(options, io, setup);
+  } catch (error) {
+    // games that can not be started, e.g. a deck recipe without a card to start the discard pile
+    if (!(error instanceof errors.GameStateError)) throw error;
+    io.output.write(`${error.message}\n\n${USAGE}\n`);
+    return 1;
+  }
+  return 0;
+}
+
+module.exports = {
+  USAGE,
+  run,
+  parseOptions,
+  createConfig,
+  renderCard,
+  renderHand,
+  playGame,
+  simulate,
+};
@@ -1,5 +1,9 @@
 #!/usr/bin/env node
-const { Game } = require('../index');
+const { run } = require('./cli');
 
-const game = new Game();
-game.start();
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
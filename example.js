@@ -1,15 +1,8 @@
 // example.js
 
-const { Game, events, constants, Player, Config } = require('./index.js');
+const { Game, events, Player, GreedyBot } = require('./index.js');
 const readline = require('readline');
 
-class ComputerPlayer extends Player {
-  constructor(name, id) {
-    super(name, id);
-    console.log("Computer player created");
-  }
-}
-
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
@@ -48,12 +41,9 @@ function parseCardInput(input) {
 }
 
 async function main() {
-  const config = new Config();
-  config.override.classes.Player = ComputerPlayer;
-
   const playerName = await askUser("What's your name? ");
 
-  const game = new Game([playerName, "Computer"], config);
+  const game = new Game([new Player(playerName, 0), new GreedyBot("Computer", 1)]);
 
   // Register events
   game.eventManager.addEvent(new events.PlayerPlayEvent((player, card) => {
@@ -75,11 +65,11 @@ async function main() {
   game.start();
 
   // Main game loop
-  while (!game.isFinished) {
+  while (game.state !== "FINISHED") {
     const currentPlayer = game.currentPlayer;
 
-    if (currentPlayer.name === "Computer") {
-      await computerTurn(game);
+    if (currentPlayer instanceof GreedyBot) {
+      currentPlayer.takeTurn(game);
     } else {
       await userTurn(game, playerName);
     }
@@ -89,35 +79,6 @@ async function main() {
   rl.close();
 }
 
-async function computerTurn(game) {
-  const player = game.currentPlayer;
-  const topCard = game.discardedCards.getTopCard();
-
-  const playable = player.getPlayableCards(topCard);
-  if (playable.length === 0) {
-    game.draw(player);
-    return;
-  }
-
-  // Prioritize non-wild cards
-  let choices = playable.filter(c => !c.wild);
-  if (choices.length === 0) choices = playable;
-
-  const card = choices[Math.floor(Math.random() * choices.length)];
-
-  if (card.wild) {
-    const counts = player.hand.getColorCounts();
-    const preferredColor = Object.entries(counts).reduce((a, b) => (a[1] > b[1] ? a : b))[0];
-    card.wildPickedColor = constants.colors[preferredColor];
-  }
-
-  const played = game.play(player, card);
-  if (!played) {
-    // Retry once (optional)
-    await computerTurn(game);
-  }
-}
-
 async function userTurn(game, playerName) {
   const player = game.currentPlayer;
   const topCard = game.discardedCards.getTopCard();
@@ -5,18 +5,30 @@ const {
     Card,
     Deck,
     Color,
-    Value
+    Value,
+    FlipCard
   } = {
     Card: require('./src/logic/cards/Card'),
     Deck: require('./src/logic/cards/Deck'),
     Color: require('./src/logic/cards/Color'),
     Value: require('./src/logic/cards/Value'),
+    FlipCard: require('./src/logic/cards/FlipCard'),
   };
   
   // Player and Game logic
   const Player = require('./src/logic/players/Player');
+  const BotPlayer = require('./src/logic/players/BotPlayer');
+  const RandomBot = require('./src/logic/players/RandomBot');
+  const GreedyBot = require('./src/logic/players/GreedyBot');
+  const DefensiveBot = require('./src/logic/players/DefensiveBot');
   const Game = require('./src/logic/Game');
+  const Match = require('./src/logic/Match');
+  const Simulator = require('./src/logic/Simulator');
+  const Replay = require('./src/logic/Replay');
+  const Rules = require('./src/logic/Rules');
+  const RuleContext = require('./src/logic/RuleContext');
   const Config = require('./src/Config');
+  const errors = require('./src/errors');
   
   // Event system
   const {
@@ -25,6 +37,26 @@ const {
     PlayerPlayEvent,
     PlayerDrawEvent,
     PlayerChangeEvent,
+    GameEndEvent,
+    PlayerUnoEvent,
+    PlayerUnoCatchEvent,
+    ContestEvent,
+    GameStartEvent,
+    TurnStartEvent,
+    DirectionChangeEvent,
+    PlayerSkipEvent,
+    WildColorPickEvent,
+    StackDrawEvent,
+    DrawChoiceEvent,
+    HandSwapEvent,
+    JumpInEvent,
+    FlipEvent,
+    UndoEvent,
+    RedoEvent,
+    DeckReshuffleEvent,
+    BeforePlayEvent,
+    BeforeDrawEvent,
+    ErrorEvent,
     FireEvent
   } = {
     Event: require('./src/events/Event'),
@@ -32,27 +64,64 @@ const {
     PlayerPlayEvent: require('./src/events/PlayerPlayEvent'),
     PlayerDrawEvent: require('./src/events/PlayerDrawEvent'),
     PlayerChangeEvent: require('./src/events/PlayerChangeEvent'),
+    GameEndEvent: require('./src/events/GameEndEvent'),
+    PlayerUnoEvent: require('./src/events/PlayerUnoEvent'),
+    PlayerUnoCatchEvent: require('./src/events/PlayerUnoCatchEvent'),
+    ContestEvent: require('./src/events/ContestEvent'),
+    GameStartEvent: require('./src/events/GameStartEvent'),
+    TurnStartEvent: require('./src/events/TurnStartEvent'),
+    DirectionChangeEvent: require('./src/events/DirectionChangeEvent'),
+    PlayerSkipEvent: require('./src/events/PlayerSkipEvent'),
+    WildColorPickEvent: require('./src/events/WildColorPickEvent'),
+    StackDrawEvent: require('./src/events/StackDrawEvent'),
+    DrawChoiceEvent: require('./src/events/DrawChoiceEvent'),
+    HandSwapEvent: require('./src/events/HandSwapEvent'),
+    JumpInEvent: require('./src/events/JumpInEvent'),
+    FlipEvent: require('./src/events/FlipEvent'),
+    UndoEvent: require('./src/events/UndoEvent'),
+    RedoEvent: require('./src/events/RedoEvent'),
+    DeckReshuffleEvent: require('./src/events/DeckReshuffleEvent'),
+    BeforePlayEvent: require('./src/events/BeforePlayEvent'),
+    BeforeDrawEvent: require('./src/events/BeforeDrawEvent'),
+    ErrorEvent: require('./src/events/ErrorEvent'),
     FireEvent: require('./src/events/FireEvent'),
   };
   
   // Constants grouped by category
   const constants = {
+    actions: require('./src/constants/actions'),
     cardCounts: require('./src/constants/cardCounts'),
+    cardPoints: require('./src/constants/cardPoints'),
     colors: require('./src/constants/colors'),
     events: require('./src/constants/events'),
     values: require('./src/constants/values'),
+    // registers the values on require, see Value.register
+    extraValues: require('./src/logic/cards/extraValues'),
+    // colors and values of UNO Flip, only valid for Flip cards, see Config.variant
+    flipValues: require('./src/logic/cards/flipValues'),
   };
   
   // Export all modules and constants cleanly
   module.exports = {
     Game,
+    Match,
+    Simulator,
+    Replay,
+    Rules,
+    RuleContext,
     Config,
     Card,
     Deck,
     Color,
     Value,
+    FlipCard,
     Player,
+    BotPlayer,
+    RandomBot,
+    GreedyBot,
+    DefensiveBot,
     constants,
+    errors,
     events: {
       FireEvent,
       EventManager,
@@ -60,6 +129,26 @@ const {
       PlayerPlayEvent,
       PlayerDrawEvent,
       PlayerChangeEvent,
+      GameEndEvent,
+      PlayerUnoEvent,
+      PlayerUnoCatchEvent,
+      ContestEvent,
+      GameStartEvent,
+      TurnStartEvent,
+      DirectionChangeEvent,
+      PlayerSkipEvent,
+      WildColorPickEvent,
+      StackDrawEvent,
+      DrawChoiceEvent,
+      HandSwapEvent,
+      JumpInEvent,
+      FlipEvent,
+      UndoEvent,
+      RedoEvent,
+      DeckReshuffleEvent,
+      BeforePlayEvent,
+      BeforeDrawEvent,
+      ErrorEvent,
     },
   };
   
\ No newline at end of file
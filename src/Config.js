@@ -1,3 +1,28 @@
+/**
+ * What may be played on a pending draw pile when stacking is on.
+ * sameValue: Draw Two on Draw Two, Wild Draw Four on Wild Draw Four.
+ * drawTwoOnDrawFour: Draw Two of the picked color on a Wild Draw Four.
+ * drawFourOnDrawTwo: Wild Draw Four on a Draw Two.
+ * reverse, skip: a matching Reverse or Skip passes the pile on to the next player,
+ * a Reverse after changing the direction.
+ * @typedef {{
+ *   sameValue: boolean,
+ *   drawTwoOnDrawFour: boolean,
+ *   drawFourOnDrawTwo: boolean,
+ *   reverse: boolean,
+ *   skip: boolean,
+ * }} StackingPolicy
+ */
+
+/** @type {StackingPolicy} */
+const DEFAULT_STACKING = Object.freeze({
+    sameValue: true,
+    drawTwoOnDrawFour: false,
+    drawFourOnDrawTwo: false,
+    reverse: false,
+    skip: false,
+})
+
 module.exports = class Config {
     constructor() {
 
@@ -8,17 +33,131 @@ module.exports = class Config {
          */
         this.defaultRotation = "CW" // CW or CCW
 
+        /**
+         * Draw Two and Wild Draw Four cards build a pile the next player
+         * either stacks on or draws, see stacking
+         */
         this.stackCards = false
 
+        /**
+         * What may be stacked when stackCards is on
+         * @type {StackingPolicy}
+         */
+        this.stacking = { ...DEFAULT_STACKING }
+
+        /**
+         * How many players have to go out before the game ends.
+         * 1 ends the game with the first player to empty their hand.
+         */
+        this.placesToFinish = 1
+
+        /** Cards drawn by a player caught not saying UNO */
+        this.unoPenalty = 2
+
+        /**
+         * Whether a Wild Draw Four can be challenged by the next player.
+         * If disabled the next player draws immediately.
+         */
+        this.challengeWildDrawFour = true
+
+        /** Score that ends a match */
+        this.targetScore = 500
+
+        /**
+         * STANDARD: the round winner scores the cards left in the other hands,
+         * first to reach the target wins.
+         * LOWEST_WINS: every player scores their own hand, once someone reaches
+         * the target the lowest score wins.
+         * @type {"STANDARD" | "LOWEST_WINS"}
+         */
+        this.scoringMode = "STANDARD"
+
+        /**
+         * Seed for the built-in random generator. A random seed is picked per
+         * game if null.
+         * @type {number | string | null}
+         */
+        this.seed = null
+
+        /**
+         * Custom random function returning numbers in [0, 1). Replaces the
+         * built-in seeded generator, its state is not saved by Game.toJSON.
+         * @type {(() => number) | undefined}
+         */
+        this.random = undefined
+
+        /**
+         * How the EventManager calls listeners. "sync" calls them directly,
+         * "sequential" and "parallel" await returned promises, see EventManager.
+         * @type {"sync" | "sequential" | "parallel"}
+         */
+        this.eventMode = "sync"
+
+        /**
+         * What happens after a player draws on their turn.
+         * PASS: the turn passes.
+         * PLAY_DRAWN: the player may play the drawn card or pass.
+         * DRAW_UNTIL_PLAYABLE: the player draws until a card can be played,
+         * which they may play or pass.
+         * @type {"PASS" | "PLAY_DRAWN" | "DRAW_UNTIL_PLAYABLE"}
+         */
+        this.drawRule = "PASS"
+
+        /**
+         * Seven-O house rule: playing a 7 swaps hands with a chosen player,
+         * playing a 0 passes all hands on in the current direction.
+         */
+        this.sevenO = false
+
+        /**
+         * Jump-in house rule: a player holding the exact same card as the
+         * top card may play it out of turn, play continues from them.
+         */
+        this.jumpIn = false
+
+        /**
+         * Cards in every deck: the count of every value per color, like
+         * constants/cardCounts. null uses the standard deck. Colors and values
+         * outside of the constants have to be registered first, see
+         * Color.register and Value.register.
+         * @type {Object<string, Object<string, number>> | null}
+         */
+        this.deck = null
+
+        /**
+         * CLASSIC: the standard game.
+         * FLIP: UNO Flip, played with double-sided cards that are all turned
+         * over by the Flip card. `deck` is not used.
+         * @type {"CLASSIC" | "FLIP"}
+         */
+        this.variant = "CLASSIC"
+
+        /**
+         * How many of the last actions can be undone, see Game#undo. 0 turns
+         * undo off. Otherwise every action takes a snapshot of the whole game,
+         * and saves carry the snapshots of the last actions. Older actions
+         * stay in the history without their snapshot.
+         */
+        this.undoLimit = 0
+
         this.override = {
             classes: {
                 Player: undefined,
                 Deck: undefined,
             },
             functions: {
+                /**
+                 * Replaces all card rules, called with the player, the card and the game
+                 * @type {((player: import("./logic/players/Player"), card: import("./logic/cards/Card"), game: import("./logic/Game")) => void) | undefined}
+                 */
                 gameLogic: undefined
 
-            }
+            },
+            /**
+             * Rules of single values for this game only, see Rules
+             * @type {Object<string, import("./logic/Rules").RuleHandler>}
+             */
+            rules: {}
         }
 
     }
@@ -27,7 +166,22 @@ module.exports = class Config {
         return {
             initialCards: this.initialCards,
             playersPerDeck: this.playersPerDeck,
-            defaultRotation: this.defaultRotation
+            defaultRotation: this.defaultRotation,
+            stackCards: this.stackCards,
+            stacking: { ...this.stacking },
+            placesToFinish: this.placesToFinish,
+            unoPenalty: this.unoPenalty,
+            challengeWildDrawFour: this.challengeWildDrawFour,
+            targetScore: this.targetScore,
+            scoringMode: this.scoringMode,
+            seed: this.seed,
+            eventMode: this.eventMode,
+            drawRule: this.drawRule,
+            sevenO: this.sevenO,
+            jumpIn: this.jumpIn,
+            deck: this.deck,
+            variant: this.variant,
+            undoLimit: this.undoLimit
         }
     }
 
@@ -36,6 +190,21 @@ module.exports = class Config {
      * initialCards: number; 
      * playersPerDeck: number; 
      * defaultRotation: "CW" | "CCW"; 
+     * stackCards?: boolean;
+     * stacking?: Partial<StackingPolicy>;
+     * placesToFinish?: number;
+     * unoPenalty?: number;
+     * challengeWildDrawFour?: boolean;
+     * targetScore?: number;
+     * scoringMode?: "STANDARD" | "LOWEST_WINS";
+     * seed?: number | string | null;
+     * eventMode?: "sync" | "sequential" | "parallel";
+     * drawRule?: "PASS" | "PLAY_DRAWN" | "DRAW_UNTIL_PLAYABLE";
+     * sevenO?: boolean;
+     * jumpIn?: boolean;
+     * deck?: Object<string, Object<string, number>> | null;
+     * variant?: "CLASSIC" | "FLIP";
+     * undoLimit?: number;
      * }} json
      */
     static fromJSON(json) {
@@ -45,10 +214,24 @@ module.exports = class Config {
     }
 
     insertValues(json) {
-        this.initialCards = json.initialCards
-        this.playersPerDeck = json.playersPerDeck
-        this.defaultRotation = json.defaultRotation
-        this.stackCards = json.stackCards
+        this.initialCards = json.initialCards ?? this.initialCards
+        this.playersPerDeck = json.playersPerDeck ?? this.playersPerDeck
+        this.defaultRotation = json.defaultRotation ?? this.defaultRotation
+        this.stackCards = json.stackCards ?? this.stackCards
+        this.stacking = json.stacking ? { ...DEFAULT_STACKING, ...json.stacking } : this.stacking
+        this.placesToFinish = json.placesToFinish ?? this.placesToFinish
+        this.unoPenalty = json.unoPenalty ?? this.unoPenalty
+        this.challengeWildDrawFour = json.challengeWildDrawFour ?? this.challengeWildDrawFour
+        this.targetScore = json.targetScore ?? this.targetScore
+        this.scoringMode = json.scoringMode ?? this.scoringMode
+        this.seed = json.seed ?? this.seed
+        this.eventMode = json.eventMode ?? this.eventMode
+        this.drawRule = json.drawRule ?? this.drawRule
+        this.sevenO = json.sevenO ?? this.sevenO
+        this.jumpIn = json.jumpIn ?? this.jumpIn
+        this.deck = json.deck ?? this.deck
+        this.variant = json.variant ?? this.variant
+        this.undoLimit = json.undoLimit ?? this.undoLimit
     }
 
     /**
@@ -69,6 +252,16 @@ module.exports = class Config {
         return this
     }
 
+    /**
+     * Rules left out keep their default, only same value stacking is on by default.
+     * @param {Partial<StackingPolicy>} stacking
+     * @returns {Config}
+     */
+    setStacking(stacking) {
+        this.stacking = { ...DEFAULT_STACKING, ...stacking }
+        return this
+    }
+
     /**
      * @param {number} initialCards
      * @returns {Config}
@@ -87,6 +280,132 @@ module.exports = class Config {
         return this
     }
 
+    /**
+     * @param {number} placesToFinish
+     * @returns {Config}
+     */
+    setPlacesToFinish(placesToFinish) {
+        this.placesToFinish = placesToFinish
+        return this
+    }
+
+    /**
+     * @param {number} unoPenalty
+     * @returns {Config}
+     */
+    setUnoPenalty(unoPenalty) {
+        this.unoPenalty = unoPenalty
+        return this
+    }
+
+    /**
+     * @param {boolean} challengeWildDrawFour
+     * @returns {Config}
+     */
+    setChallengeWildDrawFour(challengeWildDrawFour) {
+        this.challengeWildDrawFour = challengeWildDrawFour
+        return this
+    }
+
+    /**
+     * @param {number} targetScore
+     * @returns {Config}
+     */
+    setTargetScore(targetScore) {
+        this.targetScore = targetScore
+        return this
+    }
+
+    /**
+     * @param {"STANDARD" | "LOWEST_WINS"} scoringMode
+     * @returns {Config}
+     */
+    setScoringMode(scoringMode) {
+        this.scoringMode = scoringMode
+        return this
+    }
+
+    /**
+     * @param {number | string | null} seed
+     * @returns {Config}
+     */
+    setSeed(seed) {
+        this.seed = seed
+        return this
+    }
+
+    /**
+     * @param {(() => number) | undefined} random function returning numbers in [0, 1)
+     * @returns {Config}
+     */
+    setRandom(random) {
+        this.random = random
+        return this
+    }
+
+    /**
+     * @param {"sync" | "sequential" | "parallel"} eventMode
+     * @returns {Config}
+     */
+    setEventMode(eventMode) {
+        this.eventMode = eventMode
+        return this
+    }
+
+    /**
+     * @param {"PASS" | "PLAY_DRAWN" | "DRAW_UNTIL_PLAYABLE"} drawRule
+     * @returns {Config}
+     */
+    setDrawRule(drawRule) {
+        this.drawRule = drawRule
+        return this
+    }
+
+    /**
+     * @param {boolean} sevenO
+     * @returns {Config}
+     */
+    setSevenO(sevenO) {
+        this.sevenO = sevenO
+        return this
+    }
+
+    /**
+     * @param {boolean} jumpIn
+     * @returns {Config}
+     */
+    setJumpIn(jumpIn) {
+        this.jumpIn = jumpIn
+        return this
+    }
+
+    /**
+     * @param {Object<string, Object<string, number>> | null} deck recipe, see deck
+     * @returns {Config}
+     */
+    setDeck(deck) {
+        this.deck = deck
+        return this
+    }
+
+    /**
+     * @param {"CLASSIC" | "FLIP"} variant
+     * @returns {Config}
+     */
+    setVariant(variant) {
+        this.variant = variant
+        return this
+    }
+
+    /**
+     * @param {number} undoLimit
+     * @returns {Config}
+     */
+    setUndoLimit(undoLimit) {
+        this.undoLimit = undoLimit
+        return this
+    }
+
     /**
      * @param {"CW" | "CCW"} defaultRotation
      * @returns {Config}
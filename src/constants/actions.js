@@ -0,0 +1,18 @@
+/**
+ * Action types returned by Game#getLegalActions and accepted by Game#apply
+ */
+module.exports = Object.freeze({
+    /** play `card`, wild cards need a `color` */
+    PLAY: "PLAY",
+    /** draw a card, or the whole pile when cards are stacked */
+    DRAW: "DRAW",
+    /** end the turn after drawing, only where the draw rule allows it */
+    PASS: "PASS",
+    CALL_UNO: "CALL_UNO",
+    /** call out `target`, who did not say UNO */
+    CATCH_UNO: "CATCH_UNO",
+    CHALLENGE: "CHALLENGE",
+    ACCEPT: "ACCEPT",
+    /** play `card` out of turn on an identical top card, see Config.jumpIn */
+    JUMP_IN: "JUMP_IN"
+})
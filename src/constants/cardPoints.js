@@ -0,0 +1,19 @@
+const values = require('./values')
+
+module.exports = Object.freeze({
+    [values.ZERO]: 0,
+    [values.ONE]: 1,
+    [values.TWO]: 2,
+    [values.THREE]: 3,
+    [values.FOUR]: 4,
+    [values.FIVE]: 5,
+    [values.SIX]: 6,
+    [values.SEVEN]: 7,
+    [values.EIGHT]: 8,
+    [values.NINE]: 9,
+    [values.SKIP]: 20,
+    [values.REVERSE]: 20,
+    [values.DRAW_TWO]: 20,
+    [values.WILD]: 50,
+    [values.WILD_DRAW_FOUR]: 50
+})
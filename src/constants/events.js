@@ -1,9 +1,33 @@
 module.exports = Object.freeze({
+    /** listens to every event, see EventManager#onAny */
+    ANY: "*",
+    /** a listener failed in an async EventManager */
+    ERROR: "error",
+
     GAME_START: "gameStart",
     GAME_END: "gameEnd",
     GAME_TURN: "gameTurn",
+    DIRECTION_CHANGE: "directionChange",
+    DECK_RESHUFFLE: "deckReshuffle",
 
     PLAYER_DRAW: "playerDraw",
     PLAYER_PLAY: "playerPlay",
     PLAYER_CHANGE: "playerChange",
+    PLAYER_UNO: "playerUno",
+    PLAYER_UNO_CATCH: "playerUnoCatch",
+    PLAYER_SKIP: "playerSkip",
+
+    BEFORE_PLAY: "beforePlay",
+    BEFORE_DRAW: "beforeDraw",
+
+    WILD_COLOR_PICK: "wildColorPick",
+    STACK_DRAW: "stackDraw",
+    DRAW_CHOICE: "drawChoice",
+    HAND_SWAP: "handSwap",
+    JUMP_IN: "jumpIn",
+    FLIP: "flip",
+    UNDO: "undo",
+    REDO: "redo",
+
+    CONTEST: "contest",
 })
\ No newline at end of file
@@ -0,0 +1,114 @@
+// src/errors.js
+
+/**
+ * Errors thrown by the library and reasons of rejected actions. Every error
+ * has a stable `code` to check instead of the message.
+ */
+
+class UnoError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    /** @type {string} */
+    this.code = code;
+  }
+}
+
+/** An argument has the wrong type or value */
+class InvalidArgumentError extends UnoError {
+  constructor(message, code = "INVALID_ARGUMENT") {
+    super(message, code);
+  }
+}
+
+/** Missing player, no Player instance or a player of another game */
+class InvalidPlayerError extends UnoError {
+  constructor(message, code = "INVALID_PLAYER") {
+    super(message, code);
+  }
+}
+
+/** Missing card, no Card instance or an unknown color or value */
+class InvalidCardError extends UnoError {
+  constructor(message, code = "INVALID_CARD") {
+    super(message, code);
+  }
+}
+
+/** A save can not be loaded */
+class InvalidSaveError extends UnoError {
+  constructor(message, code = "INVALID_SAVE") {
+    super(message, code);
+  }
+}
+
+/** The game is not in a state that allows the call, e.g. already finished */
+class GameStateError extends UnoError {}
+
+/** A player acted outside of their turn */
+class NotYourTurnError extends UnoError {
+  constructor(message = "It is not the turn of the player", code = "NOT_YOUR_TURN") {
+    super(message, code);
+  }
+}
+
+/** The card can not be played right now */
+class IllegalCardError extends UnoError {}
+
+/** Any other action that is not allowed right now */
+class IllegalActionError extends UnoError {}
+
+/**
+ * Error class and message of every rejection reason
+ * @type {Object<string, [typeof UnoError, string]>}
+ */
+const REJECTIONS = {
+  INVALID_ACTION: [IllegalActionError, "Invalid action"],
+  UNKNOWN_PLAYER: [InvalidPlayerError, "Player is not part of this game"],
+  GAME_NOT_STARTED: [GameStateError, "Game not started"],
+  GAME_FINISHED: [GameStateError, "Game already finished"],
+  NOT_YOUR_TURN: [NotYourTurnError, "It is not the turn of the player"],
+  JUMP_IN_TOO_LATE: [GameStateError, "The game moved on before the jump-in"],
+  CONTEST_PENDING: [GameStateError, "A Wild Draw Four has to be challenged or accepted first"],
+  NO_CONTEST: [GameStateError, "There is no Wild Draw Four to challenge or accept"],
+  CARD_NOT_IN_HAND: [IllegalCardError, "Card is not in the hand of the player"],
+  COLOR_REQUIRED: [IllegalCardError, "A color has to be picked for the wild card"],
+  ILLEGAL_CARD: [IllegalCardError, "Card can not be played on the top card"],
+  ONLY_DRAWN_CARD: [IllegalCardError, "Only the drawn card can be played"],
+  ALREADY_DRAWN: [IllegalActionError, "Player already drew this turn"],
+  TARGET_REQUIRED: [IllegalActionError, "A player to swap hands with has to be chosen"],
+  INVALID_TARGET: [InvalidPlayerError, "Player can not be chosen to swap hands with"],
+  PASS_NOT_ALLOWED: [IllegalActionError, "Passing is not allowed now"],
+  CANNOT_CALL_UNO: [IllegalActionError, "UNO can not be called now"],
+  CANNOT_CATCH_UNO: [IllegalActionError, "Player can not be caught"],
+  CANCELLED: [IllegalActionError, "Action was cancelled by a listener"],
+  NOTHING_TO_UNDO: [GameStateError, "There is no action to undo"],
+  NOTHING_TO_REDO: [GameStateError, "There is no action to redo"],
+};
+
+/**
+ * Error for a rejection reason, e.g. Game#apply results.
+ * @param {string} code
+ * @returns {UnoError}
+ */
+function fromCode(code) {
+  const [ErrorClass, message] = REJECTIONS[code] ?? [UnoError, code];
+  return new ErrorClass(message, code);
+}
+
+module.exports = {
+  UnoError,
+  InvalidArgumentError,
+  InvalidPlayerError,
+  InvalidCardError,
+  InvalidSaveError,
+  GameStateError,
+  NotYourTurnError,
+  IllegalCardError,
+  IllegalActionError,
+  fromCode,
+};
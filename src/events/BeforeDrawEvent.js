@@ -0,0 +1,30 @@
+const events = require("../constants/events")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+/**
+ * Fired before a player draws on their own turn (not for penalties).
+ * Listeners can cancel it with `event.cancel(reason)` or change the amount
+ * by replacing `event.args[1]`.
+ */
+module.exports = class BeforeDrawEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player, cards: number, event: FireEvent) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.BEFORE_DRAW, once)
+    }
+
+    /**
+     * 
+     * @param {Player} player
+     * @param {number} cards amount of cards to draw
+     */
+    static fire(player, cards) {
+        const fireEvent = new FireEvent(events.BEFORE_DRAW, player, cards)
+        fireEvent.cancellable = true
+        return fireEvent
+    }
+}
@@ -0,0 +1,31 @@
+const events = require("../constants/events")
+const Card = require("../logic/cards/Card")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+/**
+ * Fired before a legal play is carried out. Listeners can cancel it with
+ * `event.cancel(reason)` or play another card by replacing `event.args[1]`,
+ * which is validated again.
+ */
+module.exports = class BeforePlayEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player, card: Card, event: FireEvent) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.BEFORE_PLAY, once)
+    }
+
+    /**
+     * 
+     * @param {Player} player
+     * @param {Card} card
+     */
+    static fire(player, card) {
+        const fireEvent = new FireEvent(events.BEFORE_PLAY, player, card)
+        fireEvent.cancellable = true
+        return fireEvent
+    }
+}
@@ -0,0 +1,26 @@
+const events = require("../constants/events")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class ContestEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(victim: Player, player: Player, outcome: "ACCEPTED" | "GUILTY" | "NOT_GUILTY", penalized: Player, cards: number) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.CONTEST, once)
+    }
+
+    /**
+     * 
+     * @param {Player} victim the player the Wild Draw Four was played against
+     * @param {Player} player the player who played the Wild Draw Four
+     * @param {"ACCEPTED" | "GUILTY" | "NOT_GUILTY"} outcome ACCEPTED if the victim did not challenge
+     * @param {Player} penalized the player who had to draw
+     * @param {number} cards amount of cards drawn
+     */
+    static fire(victim, player, outcome, penalized, cards) {
+        return new FireEvent(events.CONTEST, victim, player, outcome, penalized, cards)
+    }
+}
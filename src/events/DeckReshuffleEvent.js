@@ -0,0 +1,23 @@
+const events = require("../constants/events")
+const Deck = require("../logic/cards/Deck")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class DeckReshuffleEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(deck: Deck, cards: number) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.DECK_RESHUFFLE, once)
+    }
+
+    /**
+     * 
+     * @param {Deck} deck the new deck
+     * @param {number} cards amount of cards shuffled into it
+     */
+    static fire(deck, cards) {
+        return new FireEvent(events.DECK_RESHUFFLE, deck, cards)
+    }
+}
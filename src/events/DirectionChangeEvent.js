@@ -0,0 +1,21 @@
+const events = require("../constants/events")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class DirectionChangeEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(rotation: "CW" | "CCW") => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.DIRECTION_CHANGE, once)
+    }
+
+    /**
+     * 
+     * @param {"CW" | "CCW"} rotation the new rotation
+     */
+    static fire(rotation) {
+        return new FireEvent(events.DIRECTION_CHANGE, rotation)
+    }
+}
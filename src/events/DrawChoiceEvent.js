@@ -0,0 +1,26 @@
+const events = require("../constants/events")
+const Card = require("../logic/cards/Card")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class DrawChoiceEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player, card: Card, choice: "PLAYED" | "PASSED" | "UNPLAYABLE") => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.DRAW_CHOICE, once)
+    }
+
+    /**
+     * Fired when a player decided about the card drawn on their turn,
+     * see Config.drawRule
+     * @param {Player} player
+     * @param {Card} card the drawn card
+     * @param {"PLAYED" | "PASSED" | "UNPLAYABLE"} choice UNPLAYABLE if the turn passed since the card can not be played
+     */
+    static fire(player, card, choice) {
+        return new FireEvent(events.DRAW_CHOICE, player, card, choice)
+    }
+}
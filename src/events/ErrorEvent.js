@@ -0,0 +1,22 @@
+const events = require("../constants/events")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class ErrorEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(error: any, fireEvent: FireEvent) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.ERROR, once)
+    }
+
+    /**
+     * 
+     * @param {any} error what the listener threw or rejected with
+     * @param {FireEvent} fireEvent the event the failing listener was called for
+     */
+    static fire(error, fireEvent) {
+        return new FireEvent(events.ERROR, error, fireEvent)
+    }
+}
@@ -13,12 +13,21 @@ module.exports = class BaseEvent {
         this.callback = callback
         this.name = name
         this.once = once
+        /** Listeners with a higher priority are called first */
+        this.priority = 0
+    }
+
+    /**
+     * @returns {boolean} whether a once listener was already called
+     */
+    get done() {
+        return this.once && this.#called
     }
 
     call(...args) {
         if (this.#called && this.once) return
         this.#called = true
-        this.callback(...args)
+        return this.callback(...args)
 
     }
-}
\ No newline at end of file
+}
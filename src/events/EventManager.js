@@ -1,11 +1,34 @@
 const events = require('../constants/events')
+const { InvalidArgumentError } = require('../errors')
 const BaseEvent = require('./Event')
+const ErrorEvent = require('./ErrorEvent')
 const FireEvent = require('./FireEvent')
 
 module.exports = class EventManager {
-    constructor() {
+    /** @type {Promise<void>} dispatches of the async modes, in fire order */
+    #queue = Promise.resolve()
+
+    /** @type {any[]} listener errors nobody listened to, rejected by flush() */
+    #unhandledErrors = []
+
+    /**
+     * @param {"sync" | "sequential" | "parallel"} mode
+     * sync: listeners are called directly and their errors are thrown to the caller.
+     * sequential: listeners are awaited one after another.
+     * parallel: listeners of one event are awaited together.
+     * In both async modes events are dispatched in the order they were fired and
+     * listener errors are reported through the error event. Cancellable events are
+     * always dispatched synchronously since the action waits for their outcome, an
+     * async listener of one can not cancel it but its errors are reported as well.
+     */
+    constructor(mode = "sync") {
+        if (!["sync", "sequential", "parallel"].includes(mode)) {
+            throw new InvalidArgumentError("Event mode must be sync, sequential or parallel")
+        }
+        this.mode = mode
 
         /**
+         * Listeners ordered by priority, highest first
          * @type {BaseEvent[]}
          */
         this.events = []
@@ -13,23 +36,159 @@ module.exports = class EventManager {
 
     /**
     * @param {BaseEvent} event
+    * @param {number=} priority listeners with a higher priority are called first, defaults to event.priority
     * @returns {BaseEvent}
     */
-    addEvent(event) {
-        this.events.push(event)
+    addEvent(event, priority = event.priority) {
+        event.priority = priority
+
+        // keep insertion order between listeners of the same priority
+        let index = this.events.findIndex(e => e.priority < priority)
+        if (index === -1) index = this.events.length
+        this.events.splice(index, 0, event)
         return event
     }
 
     /**
+     * @param {BaseEvent} event
+     * @returns {boolean} whether the listener was registered
+     */
+    removeEvent(event) {
+        const index = this.events.indexOf(event)
+        if (index === -1) return false
+        this.events.splice(index, 1)
+        return true
+    }
+
+    /**
+     * Listens to an event by name.
+     * @param {string} name one of constants/events
+     * @param {function} callback
+     * @param {{ once?: boolean, priority?: number }=} options
+     * @returns {() => boolean} removes the listener
+     */
+    on(name, callback, { once = false, priority = 0 } = {}) {
+        const event = this.addEvent(new BaseEvent(callback, name, once), priority)
+        return () => this.removeEvent(event)
+    }
+
+    /**
+     * Listens to every event. The callback receives the FireEvent.
+     * @param {(fireEvent: FireEvent) => any} callback
+     * @param {{ once?: boolean, priority?: number }=} options
+     * @returns {() => boolean} removes the listener
+     */
+    onAny(callback, options) {
+        return this.on(events.ANY, callback, options)
+    }
+
+    /**
+     * Calls the listeners of the event. Listeners of cancellable events get
+     * the FireEvent as an extra last argument so they can cancel it or
+     * replace its args.
      * @param {FireEvent} fireEvent
+     * @returns {Promise<void> | undefined} in the async modes, resolves once all listeners are done
      */
     fireEvent(fireEvent) {
-        for (let event of this.events) {
-            if (event.name === fireEvent.name) {
-                event.call(...fireEvent.args)
+        // listeners may add or remove listeners while being called
+        const listeners = this.events.filter(e => e.name === events.ANY || e.name === fireEvent.name)
+
+        if (this.mode === "sync" || fireEvent.cancellable) {
+            for (let event of listeners) {
+                if (fireEvent.cancelled) break
+                const result = this.#call(event, fireEvent)
+                if (this.mode !== "sync" && typeof result?.then === "function") this.#settle(result, fireEvent)
+            }
+            return
+        }
+
+        this.#queue = this.#queue.then(() => this.#dispatch(listeners, fireEvent))
+        return this.#queue
+    }
+
+    /**
+     * Resolves once every fired event has been handled by its listeners.
+     * Rejects with the first listener error if there was no error listener.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.#queue
+        if (this.#unhandledErrors.length > 0) {
+            const [error] = this.#unhandledErrors
+            this.#unhandledErrors = []
+            throw error
+        }
+    }
+
+    /**
+     * @param {BaseEvent} event
+     * @param {FireEvent} fireEvent
+     * @returns {any} what the listener returned
+     */
+    #call(event, fireEvent) {
+        if (event.done) return
+        let result
+        if (event.name === events.ANY) result = event.call(fireEvent)
+        else if (fireEvent.cancellable) result = event.call(...fireEvent.args, fireEvent)
+        else result = event.call(...fireEvent.args)
+
+        if (event.done) this.removeEvent(event)
+        return result
+    }
+
+    /**
+     * Waits for an async listener of a synchronously dispatched event in the
+     * queue, so flush() waits for it and its error is reported
+     * @param {PromiseLike<any>} result
+     * @param {FireEvent} fireEvent
+     */
+    #settle(result, fireEvent) {
+        const settled = Promise.resolve(result).then(() => {}, error => this.#reportError(error, fireEvent))
+        this.#queue = this.#queue.then(() => settled)
+    }
+
+    /**
+     * Async dispatch, never rejects
+     * @param {BaseEvent[]} listeners
+     * @param {FireEvent} fireEvent
+     */
+    async #dispatch(listeners, fireEvent) {
+        const run = async (event) => {
+            try {
+                await this.#call(event, fireEvent)
+            } catch (error) {
+                await this.#reportError(error, fireEvent)
             }
+        }
 
+        if (this.mode === "parallel") {
+            await Promise.all(listeners.map(run))
+        } else {
+            for (let event of listeners) await run(event)
+        }
+    }
+
+    /**
+     * @param {any} error
+     * @param {FireEvent} fireEvent
+     */
+    async #reportError(error, fireEvent) {
+        const errorListeners = this.events.filter(e => e.name === events.ERROR)
+
+        // errors of error listeners are not reported again to avoid loops
+        if (errorListeners.length === 0 || fireEvent.name === events.ERROR) {
+            this.#unhandledErrors.push(error)
+            return
+        }
+
+        const errorEvent = ErrorEvent.fire(error, fireEvent)
+        for (let event of errorListeners) {
+            try {
+                await this.#call(event, errorEvent)
+            } catch (e) {
+                this.#unhandledErrors.push(e)
+            }
         }
     }
 
-}
\ No newline at end of file
+}
@@ -1,6 +1,25 @@
+const { IllegalActionError } = require('../errors')
+
 module.exports = class FireEvent {
     constructor(name, ...args) {
         this.name = name
         this.args = args
+
+        /** Whether listeners may cancel the action this event announces */
+        this.cancellable = false
+        this.cancelled = false
+        /** @type {string | null} */
+        this.cancelReason = null
     }
-}
\ No newline at end of file
+
+    /**
+     * Vetoes the action of a cancellable ("before") event.
+     * Listeners with a lower priority are not called anymore.
+     * @param {string=} reason
+     */
+    cancel(reason = null) {
+        if (!this.cancellable) throw new IllegalActionError(`Event ${this.name} can not be cancelled`, "NOT_CANCELLABLE")
+        this.cancelled = true
+        this.cancelReason = reason
+    }
+}
@@ -0,0 +1,25 @@
+const events = require("../constants/events")
+const Card = require("../logic/cards/Card")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class FlipEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player, card: Card, side: "LIGHT" | "DARK") => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.FLIP, once)
+    }
+
+    /**
+     * Fired when all cards were turned over in UNO Flip
+     * @param {Player} player the player who played the Flip card
+     * @param {Card} card the Flip card
+     * @param {"LIGHT" | "DARK"} side the side that is up now
+     */
+    static fire(player, card, side) {
+        return new FireEvent(events.FLIP, player, card, side)
+    }
+}
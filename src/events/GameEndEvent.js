@@ -0,0 +1,23 @@
+const events = require("../constants/events")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class GameEndEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(winner: Player, finishOrder: Player[]) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.GAME_END, once)
+    }
+
+    /**
+     * 
+     * @param {Player} winner
+     * @param {Player[]} finishOrder players in the order they went out
+     */
+    static fire(winner, finishOrder) {
+        return new FireEvent(events.GAME_END, winner, finishOrder)
+    }
+}
@@ -0,0 +1,26 @@
+const events = require("../constants/events")
+const Card = require("../logic/cards/Card")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class GameStartEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(players: Player[], hands: Card[][], firstPlayer: Player, topCard: Card) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.GAME_START, once)
+    }
+
+    /**
+     * 
+     * @param {Player[]} players
+     * @param {Card[][]} hands dealt cards of every player, in the order of players
+     * @param {Player} firstPlayer
+     * @param {Card} topCard first card of the discard pile
+     */
+    static fire(players, hands, firstPlayer, topCard) {
+        return new FireEvent(events.GAME_START, players, hands, firstPlayer, topCard)
+    }
+}
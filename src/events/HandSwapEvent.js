@@ -0,0 +1,25 @@
+const events = require("../constants/events")
+const Card = require("../logic/cards/Card")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class HandSwapEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player, card: Card, moves: { from: Player, to: Player }[]) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.HAND_SWAP, once)
+    }
+
+    /**
+     * Fired when hands moved because of the Seven-O rule
+     * @param {Player} player the player who played the card
+     * @param {Card} card the played 7 or 0
+     * @param {{ from: Player, to: Player }[]} moves the hand of `from` is now held by `to`
+     */
+    static fire(player, card, moves) {
+        return new FireEvent(events.HAND_SWAP, player, card, moves)
+    }
+}
@@ -0,0 +1,26 @@
+const events = require("../constants/events")
+const Card = require("../logic/cards/Card")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class JumpInEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player, card: Card, previousPlayer: Player, turn: number) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.JUMP_IN, once)
+    }
+
+    /**
+     * Fired when a player plays out of turn, see Config.jumpIn
+     * @param {Player} player the player jumping in
+     * @param {Card} card
+     * @param {Player} previousPlayer the player whose turn was taken
+     * @param {number} turn the turn that was interrupted
+     */
+    static fire(player, card, previousPlayer, turn) {
+        return new FireEvent(events.JUMP_IN, player, card, previousPlayer, turn)
+    }
+}
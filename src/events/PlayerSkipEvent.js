@@ -0,0 +1,23 @@
+const events = require("../constants/events")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class PlayerSkipEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player, by: Player) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.PLAYER_SKIP, once)
+    }
+
+    /**
+     * 
+     * @param {Player} player the skipped player
+     * @param {Player} by the player who skipped them
+     */
+    static fire(player, by) {
+        return new FireEvent(events.PLAYER_SKIP, player, by)
+    }
+}
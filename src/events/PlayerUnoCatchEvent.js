@@ -0,0 +1,25 @@
+const events = require("../constants/events")
+const Card = require("../logic/cards/Card")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class PlayerUnoCatchEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(accuser: Player, target: Player, cards: Card[]) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.PLAYER_UNO_CATCH, once)
+    }
+
+    /**
+     * 
+     * @param {Player} accuser the player calling out the missed UNO
+     * @param {Player} target the player that forgot to say UNO
+     * @param {Card[]} cards penalty cards drawn by the target
+     */
+    static fire(accuser, target, cards) {
+        return new FireEvent(events.PLAYER_UNO_CATCH, accuser, target, cards)
+    }
+}
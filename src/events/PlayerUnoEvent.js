@@ -0,0 +1,22 @@
+const events = require("../constants/events")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class PlayerUnoEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.PLAYER_UNO, once)
+    }
+
+    /**
+     * 
+     * @param {Player} player the player declaring UNO
+     */
+    static fire(player) {
+        return new FireEvent(events.PLAYER_UNO, player)
+    }
+}
@@ -0,0 +1,21 @@
+const events = require("../constants/events")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class RedoEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(entry: import("../logic/Game").HistoryEntry) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.REDO, once)
+    }
+
+    /**
+     * Fired after an undone action was restored, see Game#redo
+     * @param {import("../logic/Game").HistoryEntry} entry the history entry of the restored action
+     */
+    static fire(entry) {
+        return new FireEvent(events.REDO, entry)
+    }
+}
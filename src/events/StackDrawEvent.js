@@ -0,0 +1,25 @@
+const events = require("../constants/events")
+const Card = require("../logic/cards/Card")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class StackDrawEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player, card: Card, amount: number) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.STACK_DRAW, once)
+    }
+
+    /**
+     * 
+     * @param {Player} player the player who stacked
+     * @param {Card} card the stacked card
+     * @param {number} amount cards to draw for whoever stops the stack
+     */
+    static fire(player, card, amount) {
+        return new FireEvent(events.STACK_DRAW, player, card, amount)
+    }
+}
@@ -0,0 +1,23 @@
+const events = require("../constants/events")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class TurnStartEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player, turn: number) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.GAME_TURN, once)
+    }
+
+    /**
+     * 
+     * @param {Player} player player whose turn it is
+     * @param {number} turn turn number, starting at 1
+     */
+    static fire(player, turn) {
+        return new FireEvent(events.GAME_TURN, player, turn)
+    }
+}
@@ -0,0 +1,21 @@
+const events = require("../constants/events")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class UndoEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(entry: import("../logic/Game").HistoryEntry) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.UNDO, once)
+    }
+
+    /**
+     * Fired after an action was taken back, see Game#undo
+     * @param {import("../logic/Game").HistoryEntry} entry the history entry of the action that was taken back
+     */
+    static fire(entry) {
+        return new FireEvent(events.UNDO, entry)
+    }
+}
@@ -0,0 +1,26 @@
+const events = require("../constants/events")
+const Card = require("../logic/cards/Card")
+const Color = require("../logic/cards/Color")
+const Player = require("../logic/players/Player")
+const BaseEvent = require("./Event")
+const FireEvent = require("./FireEvent")
+
+module.exports = class WildColorPickEvent extends BaseEvent {
+    /**
+     * 
+     * @param {(player: Player, card: Card, color: Color) => any} callback 
+     */
+    constructor(callback, once = false) {
+        super(callback, events.WILD_COLOR_PICK, once)
+    }
+
+    /**
+     * 
+     * @param {Player} player
+     * @param {Card} card the played wild card
+     * @param {Color} color the picked color
+     */
+    static fire(player, card, color) {
+        return new FireEvent(events.WILD_COLOR_PICK, player, card, color)
+    }
+}
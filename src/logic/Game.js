@@ -2,44 +2,155 @@
 
 const { deprecate } = require('node:util');
 const Config = require('../Config');
+const BeforeDrawEvent = require('../events/BeforeDrawEvent');
+const BeforePlayEvent = require('../events/BeforePlayEvent');
+const ContestEvent = require('../events/ContestEvent');
+const DeckReshuffleEvent = require('../events/DeckReshuffleEvent');
+const DirectionChangeEvent = require('../events/DirectionChangeEvent');
+const DrawChoiceEvent = require('../events/DrawChoiceEvent');
+const FlipEvent = require('../events/FlipEvent');
+const cardCounts = require('../constants/cardCounts');
 const colors = require('../constants/colors');
 const events = require('../constants/events');
 const values = require('../constants/values');
 const Event = require('../events/Event');
 const EventManager = require('../events/EventManager');
+const GameEndEvent = require('../events/GameEndEvent');
+const GameStartEvent = require('../events/GameStartEvent');
+const HandSwapEvent = require('../events/HandSwapEvent');
+const JumpInEvent = require('../events/JumpInEvent');
 const PlayerChangeEvent = require('../events/PlayerChangeEvent');
 const PlayerDrawEvent = require('../events/PlayerDrawEvent');
 const PlayerPlayEvent = require('../events/PlayerPlayEvent');
+const PlayerUnoCatchEvent = require('../events/PlayerUnoCatchEvent');
+const PlayerUnoEvent = require('../events/PlayerUnoEvent');
+const RedoEvent = require('../events/RedoEvent');
+const TurnStartEvent = require('../events/TurnStartEvent');
+const UndoEvent = require('../events/UndoEvent');
+const WildColorPickEvent = require('../events/WildColorPickEvent');
+const actions = require('../constants/actions');
+const {
+  fromCode,
+  GameStateError,
+  InvalidArgumentError,
+  InvalidCardError,
+  InvalidPlayerError,
+  InvalidSaveError,
+} = require('../errors');
 const Card = require('./cards/Card');
+const Color = require('./cards/Color');
+const Value = require('./cards/Value');
+require('./cards/extraValues');
+const flipValues = require('./cards/flipValues');
+const Random = require('./Random');
+const ReplayFormat = require('./ReplayFormat');
+const RuleContext = require('./RuleContext');
+const Rules = require('./Rules');
+const SaveFormat = require('./SaveFormat');
 
-// Overridable classes
-let Deck = require('./cards/Deck');
-let Player = require('./players/Player');
+// Default classes, can be overridden per game with config.override.classes
+const Deck = require('./cards/Deck');
+const Player = require('./players/Player');
+
+/**
+ * @typedef {{
+ *   type: "PLAY" | "DRAW" | "PASS" | "CALL_UNO" | "CATCH_UNO" | "CHALLENGE" | "ACCEPT" | "JUMP_IN",
+ *   player: number | Player,
+ *   card?: Card,
+ *   color?: string | null,
+ *   target?: number | Player,
+ *   turn?: number,
+ * }} Action players are referenced by their index in Game#players or as instance
+ */
+
+/**
+ * @typedef {{
+ *   type: "PLAY" | "JUMP_IN" | "DRAW" | "PASS" | "CALL_UNO" | "CATCH_UNO" | "CHALLENGE" | "ACCEPT",
+ *   turn: number,
+ *   player: number,
+ *   card?: object,
+ *   cardIndex?: number,
+ *   color?: string | null,
+ *   target?: number,
+ *   cards?: number,
+ *   options?: { isNext: boolean, silent: boolean, nextSilent: boolean, force: boolean },
+ *   random: number | null,
+ *   reshuffled: boolean,
+ * }} HistoryEntry frozen record of an action, see Game#history. Players are referenced
+ * by their index, `card` is the played card as JSON and `cardIndex` its place in the hand.
+ * `options` holds the arguments of draws that were not regular turn draws. `random` is
+ * the state of the seeded generator before the action, bots use it between actions.
+ */
+
+/**
+ * Freezes an object and everything in it
+ * @template T
+ * @param {T} object
+ * @returns {T}
+ */
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === "object") deepFreeze(value);
+  }
+  return Object.freeze(object);
+}
 
 module.exports = class Game {
+  /**
+   * Random function handed to decks
+   * @type {() => number}
+   */
+  #random = () => (this.random ? this.random.next() : this.config.random());
+
+  /**
+   * Recorded actions, oldest first. `before` is the state the action started
+   * from as JSON string, null for actions beyond `config.undoLimit`.
+   * @type {{ entry: HistoryEntry, before: string | null }[]}
+   */
+  #history = [];
+
+  /**
+   * Undone actions that can be redone, the last one is redone first
+   * @type {{ entry: HistoryEntry, before: string, after: string }[]}
+   */
+  #undone = [];
+
+  /** Whether a recorded action is running, actions it starts are part of it */
+  #recording = false;
+
+  /** Whether the discard pile was shuffled into a new deck during the recorded action */
+  #reshuffled = false;
+
+  /** Fields of the recorded entry that changed during the action, e.g. a draw amount changed by a listener */
+  #entryChanges = {};
+
   /**
    * @param {string[] | Player[]} players
    * @param {Config} config
    */
   constructor(players = [], config = new Config()) {
-    if (!Array.isArray(players)) throw new Error("Players must be an array");
+    if (!Array.isArray(players)) throw new InvalidArgumentError("Players must be an array");
 
     // Validate players array: strings or Player instances only
     for (const player of players) {
       if (typeof player === "string") continue;
       if (!(player instanceof Player)) {
-        throw new Error("Players must be an array of strings or Player instances");
+        throw new InvalidArgumentError("Players must be an array of strings or Player instances");
       }
     }
 
-    if (!(config instanceof Config)) throw new Error("Config must be an instance of Config");
+    if (!(config instanceof Config)) throw new InvalidArgumentError("Config must be an instance of Config");
 
     this.config = config;
 
-    // Override classes if provided
+    // Override classes if provided. Kept on the instance so games don't affect each other
     const ovrClasses = this.config.override.classes;
-    Deck = ovrClasses.Deck || Deck;
-    Player = ovrClasses.Player || Player;
+
+    /** @type {{ Deck: typeof Deck, Player: typeof Player }} */
+    this.classes = {
+      Deck: ovrClasses.Deck || Deck,
+      Player: ovrClasses.Player || Player,
+    };
 
     this.initPlayers = players;
 
@@ -49,14 +160,57 @@ module.exports = class Game {
     /** @type {Player | null} */
     this.currentPlayer = null;
 
-    /** @type {"NOT_STARTED" | "PLAYING" | "STACK_DRAW" | "CONTEST"} */
+    /**
+     * Why the last play, draw, challenge, accept, callUno or catchUno
+     * returned false. null after a successful call.
+     * @type {import('../errors').UnoError | null}
+     */
+    this.lastRejection = null;
+
+    /**
+     * DRAWN: the current player drew and may play the drawn card or pass,
+     * see Config.drawRule
+     * @type {"NOT_STARTED" | "PLAYING" | "STACK_DRAW" | "CONTEST" | "DRAWN" | "FINISHED"}
+     */
     this.state = "NOT_STARTED";
 
+    /** @type {Card | null} card the current player may play in the DRAWN state */
+    this.drawnCard = null;
+
+    /** @type {Player | null} first player to empty their hand */
+    this.winner = null;
+
+    /** @type {Player[]} players in the order they went out */
+    this.finishOrder = [];
+
+    /**
+     * Player that went down to one card without saying UNO. They can be
+     * caught until the next player acts.
+     * @type {Player | null}
+     */
+    this.unoCatchable = null;
+
+    /**
+     * Pending Wild Draw Four challenge, set while in the CONTEST state.
+     * `hand` is the snapshot of the player's hand when the card was played.
+     * @type {{ player: Player, victim: Player, previousColor: string, hand: Card[] } | null}
+     */
+    this.contest = null;
+
     /** Amount of cards to draw after stacking */
     this.stackDrawAmount = 0;
 
+    /**
+     * Side of the cards that is up in UNO Flip, see Config.variant
+     * @type {"LIGHT" | "DARK"}
+     */
+    this.side = "LIGHT";
+
+    /** Number of the current turn, 0 before the game started */
+    this.turn = 0;
+
     /** @type {Deck} */
-    this.discardedCards = new Deck();
+    this.discardedCards = new this.classes.Deck();
 
     /** @type {Deck[]} */
     this.decks = [];
@@ -65,7 +219,14 @@ module.exports = class Game {
     this.players = [];
 
     /** @type {EventManager} */
-    this.eventManager = new EventManager();
+    this.eventManager = new EventManager(config.eventMode);
+
+    /**
+     * Seeded generator for shuffling, dealing and picking the first player.
+     * null when a custom `config.random` function is used.
+     * @type {Random | null}
+     */
+    this.random = typeof config.random === "function" ? null : new Random(config.seed ?? undefined);
   }
 
   /**
@@ -93,18 +254,28 @@ module.exports = class Game {
    * and sets the initial card on discard pile.
    */
   start() {
-    if (this.initPlayers.length < 2) throw new Error("Not enough players");
-    if (this.state !== "NOT_STARTED") throw new Error("Game already started");
+    if (this.initPlayers.length < 2) throw new GameStateError("Not enough players", "NOT_ENOUGH_PLAYERS");
+    if (this.state !== "NOT_STARTED") throw new GameStateError("Game already started", "GAME_ALREADY_STARTED");
 
     const decksNeeded = Math.ceil(this.initPlayers.length / this.config.playersPerDeck);
+    const decks = [];
     for (let i = 0; i < decksNeeded; i++) {
-      this.decks.push(new Deck().insertDefaultCards());
+      const deck = new this.classes.Deck();
+      if (this.config.variant === "FLIP") deck.insertFlipCards(this.#random);
+      else if (this.config.deck) deck.insertCards(this.config.deck, this.#random);
+      else deck.insertDefaultCards(this.#random);
+      decks.push(deck);
+    }
+    // checked before dealing, so a deck recipe without such a card leaves the game untouched
+    if (!decks.some(deck => deck.cards.some(c => this.#isFirstCard(c)))) {
+      throw new GameStateError("The deck has no card that can start the discard pile", "NO_FIRST_CARD");
     }
+    this.decks.push(...decks);
 
     for (let i = 0; i < this.initPlayers.length; i++) {
       let player = this.initPlayers[i];
       if (typeof player === "string") {
-        player = new Player(player, i);
+        player = new this.classes.Player(player, i);
       }
       this.draw(player, this.config.initialCards, false, true, true, true);
       this.players.push(player);
@@ -114,18 +285,34 @@ module.exports = class Game {
 
     // Pick valid first card to start the discard pile
     const deck = this.#getDeck();
-    const validFirstCards = deck.cards.filter(c =>
-      c.color.color !== colors.BLACK &&
-      c.value.value !== values.DRAW_TWO &&
-      c.value.value !== values.REVERSE &&
-      c.value.value !== values.SKIP
-    );
+    const validFirstCards = deck.cards.filter(c => this.#isFirstCard(c));
+    if (validFirstCards.length === 0) {
+      throw new GameStateError("All cards that can start the discard pile were dealt", "NO_FIRST_CARD");
+    }
 
     const card = this.#getRandomFromArr(validFirstCards);
     this.discardedCards.addCard(card);
     deck.removeCard(card);
 
     this.state = "PLAYING";
+    this.turn = 1;
+
+    const hands = this.players.map(p => p.hand.cards.slice());
+    this.eventManager.fireEvent(GameStartEvent.fire(this.players, hands, this.currentPlayer, card));
+    this.eventManager.fireEvent(TurnStartEvent.fire(this.currentPlayer, this.turn));
+  }
+
+  /**
+   * Whether the card may start the discard pile: no wild, action or registered value
+   * @param {Card} card
+   * @returns {boolean}
+   */
+  #isFirstCard(card) {
+    return card.color.color !== colors.BLACK &&
+      card.value.value !== values.DRAW_TWO &&
+      card.value.value !== values.REVERSE &&
+      card.value.value !== values.SKIP &&
+      !Object.hasOwn(Value.types, card.value.value);
   }
 
   /**
@@ -139,145 +326,623 @@ module.exports = class Game {
    * @returns {boolean} whether drawing was successful
    */
   draw(player, cards = 1, isNext = true, silent = false, nextSilent = false, force = false) {
-    if (!player) throw new Error("No player provided");
-    if (!(player instanceof Player)) throw new Error("Player must be an instance of Player");
+    return this.#record(
+      () => this.#draw(player, cards, isNext, silent, nextSilent, force),
+      () => this.#entry(actions.DRAW, player, {
+        cards,
+        // only draws that were not regular turn draws keep their arguments
+        ...(!isNext || silent || nextSilent || force ? { options: { isNext, silent, nextSilent, force } } : {}),
+      })
+    );
+  }
+
+  /** draw without recording it, see #record */
+  #draw(player, cards = 1, isNext = true, silent = false, nextSilent = false, force = false) {
+    if (!player) throw new InvalidPlayerError("No player provided");
+    if (!(player instanceof Player)) throw new InvalidPlayerError("Player must be an instance of Player");
 
-    if (typeof cards !== "number" || cards < 1 || !Number.isInteger(cards)) {
-      throw new Error("Cards must be a positive integer");
+    this.#checkDrawAmount(cards);
+    if (this.state === "FINISHED") throw new GameStateError("Game already finished", "GAME_FINISHED");
+    if (!force && player !== this.currentPlayer) return this.#reject("NOT_YOUR_TURN");
+    // Drawing while a Wild Draw Four is pending means accepting it
+    if (!force && this.state === "CONTEST") return this.accept(player);
+    if (!force && this.state === "DRAWN") return this.#reject("ALREADY_DRAWN");
+
+    // a regular draw on the own turn, where the draw rule applies
+    const turnDraw = isNext && !force && this.state === "PLAYING" && this.config.drawRule !== "PASS";
+
+    if (!force) {
+      const beforeDraw = BeforeDrawEvent.fire(player, cards);
+      this.eventManager.fireEvent(beforeDraw);
+      if (beforeDraw.cancelled) return this.#reject("CANCELLED");
+      if (beforeDraw.args[1] !== cards) {
+        cards = beforeDraw.args[1];
+        this.#checkDrawAmount(cards);
+        // replays draw the changed amount without the listener
+        this.#entryChanges.cards = cards;
+      }
+      this.unoCatchable = null;
+      this.lastRejection = null;
     }
-    if (!force && player !== this.currentPlayer) return false;
 
-    let deck = this.#getDeck();
     const drawnCards = [];
 
-    if (this.state === "STACK_DRAW") {
+    // only the player on turn takes the pile, forced draws like UNO penalties leave it pending
+    if (!force && this.state === "STACK_DRAW") {
       cards = this.stackDrawAmount;
       this.stackDrawAmount = 0;
       this.state = "PLAYING";
     }
 
-    for (let i = 0; i < cards; i++) {
-      if (deck.cards.length > 0) {
-        const card = deck.getTopCard(true);
+    const drawCard = () => {
+      const card = this.#takeCard();
+      if (card) {
         player.hand.addCard(card);
         drawnCards.push(card);
-      } else {
-        deck = this.#getDeck();
-        if (deck.cards.length === 0) break;
-        i--;
+      }
+      return card;
+    };
+
+    for (let i = 0; i < cards; i++) {
+      if (!drawCard()) break;
+    }
+    if (turnDraw && this.config.drawRule === "DRAW_UNTIL_PLAYABLE") {
+      while (drawnCards.length > 0 && !this.#isPlayableDrawnCard(drawnCards[drawnCards.length - 1])) {
+        if (!drawCard()) break;
       }
     }
 
+    if (drawnCards.length > 0) player.saidUno = false;
+
     if (!silent) this.eventManager.fireEvent(PlayerDrawEvent.fire(player, drawnCards));
 
+    const lastCard = drawnCards[drawnCards.length - 1];
+    if (turnDraw && lastCard) {
+      if (this.#isPlayableDrawnCard(lastCard)) {
+        // the turn goes on until the player plays the card or passes
+        this.state = "DRAWN";
+        this.drawnCard = lastCard;
+        return drawnCards.length >= cards;
+      }
+      this.eventManager.fireEvent(DrawChoiceEvent.fire(player, lastCard, "UNPLAYABLE"));
+    }
+
     if (isNext) this.setNextPlayer(nextSilent);
 
-    return drawnCards.length === cards;
+    return drawnCards.length >= cards;
   }
 
   /**
-   * Applies game logic for special cards (reverse, skip, draw two, draw four)
+   * @param {any} cards amount of cards to draw
+   */
+  #checkDrawAmount(cards) {
+    if (typeof cards !== "number") throw new InvalidArgumentError("Cards must be a number");
+    if (cards < 1) throw new InvalidArgumentError("Cards must be greater than 0");
+    if (!Number.isInteger(cards)) throw new InvalidArgumentError("Cards must be an integer");
+  }
+
+  /**
+   * Ends the turn of a player who drew and kept the card, see Config.drawRule
    * @param {Player} player
+   * @returns {boolean} whether passing was allowed
+   */
+  pass(player) {
+    return this.#record(
+      () => this.#pass(player),
+      () => this.#entry(actions.PASS, player)
+    );
+  }
+
+  /** pass without recording it, see #record */
+  #pass(player) {
+    if (!player) throw new InvalidPlayerError("No player provided");
+    if (!(player instanceof Player)) throw new InvalidPlayerError("Player must be an instance of Player");
+    if (this.state === "FINISHED") throw new GameStateError("Game already finished", "GAME_FINISHED");
+    if (player !== this.currentPlayer) return this.#reject("NOT_YOUR_TURN");
+    if (this.state !== "DRAWN") return this.#reject("PASS_NOT_ALLOWED");
+
+    this.lastRejection = null;
+    const card = this.drawnCard;
+    this.state = "PLAYING";
+    this.drawnCard = null;
+
+    this.eventManager.fireEvent(DrawChoiceEvent.fire(player, card, "PASSED"));
+    this.setNextPlayer();
+    return true;
+  }
+
+  /**
+   * Whether a card drawn on the own turn could be played
    * @param {Card} card
    * @returns {boolean}
    */
-  #gameLogic(player, card) {
-    switch (card.value.value) {
-      case values.REVERSE:
-        this.flipDirection();
-        if (this.players.length === 2) {
-          this.setNextPlayer(true);
-        }
-        return true;
+  #isPlayableDrawnCard(card) {
+    return card.isValidOn(this.discardedCards.getTopCard(), false, false);
+  }
 
-      case values.SKIP:
-        this.setNextPlayer(true);
-        return true;
+  /**
+   * Takes the top card of the draw pile, reshuffling the discard pile if needed
+   * @returns {Card | null} null if there are no cards left at all
+   */
+  #takeCard() {
+    const deck = this.#getDeck();
+    return deck.cards.length > 0 ? deck.getTopCard(true) : null;
+  }
 
-      case values.DRAW_TWO:
-        if (
-          this.config.stackCards &&
-          this.getNextPlayer().hand.getCard(undefined, values.DRAW_TWO) !== null
-        ) {
-          this.stackDrawAmount += 2;
-          this.state = "STACK_DRAW";
-        } else {
-          if (this.state === "STACK_DRAW") {
-            this.stackDrawAmount += 2;
-            this.draw(this.getNextPlayer(), this.stackDrawAmount, true, false, true, true);
-            this.stackDrawAmount = 0;
-            this.state = "PLAYING";
-          } else {
-            this.draw(this.getNextPlayer(), 2, true, false, true, true);
-          }
-        }
-        return true;
+  /**
+   * Applies the rule of the played card's value: the one of
+   * `config.override.rules`, else the registered one, see Rules.
+   * `config.override.functions.gameLogic` replaces all rules.
+   * @param {Player} player
+   * @param {Card} card
+   */
+  #applyRule(player, card) {
+    const override = this.config.override;
+    if (typeof override.functions.gameLogic === 'function') {
+      override.functions.gameLogic(player, card, this);
+      return;
+    }
 
-      case values.WILD_DRAW_FOUR:
-        if (
-          this.config.stackCards &&
-          this.getNextPlayer().hand.getCard(undefined, values.WILD_DRAW_FOUR) !== null
-        ) {
-          this.stackDrawAmount += 4;
-          this.state = "STACK_DRAW";
-        } else {
-          if (this.state === "STACK_DRAW") {
-            this.stackDrawAmount += 4;
-            this.draw(this.getNextPlayer(), this.stackDrawAmount, true, false, true, true);
-            this.stackDrawAmount = 0;
-            this.state = "PLAYING";
-          } else {
-            this.draw(this.getNextPlayer(), 4, true, false, true, true);
-          }
-        }
-        return true;
+    const handler = override.rules[card.value.value] ?? Rules.get(card.value.value);
+    if (!handler) return;
+    const rules = new RuleContext(this, player, card, {
+      openContest: () => this.#openContest(player, card),
+      random: this.#random,
+    });
+    handler(rules, player, card);
+  }
 
-      case values.WILD:
-        // No additional game logic needed here for wild
-        return true;
+  /**
+   * Swaps or passes on hands after a 7 or 0 with the Seven-O rule
+   * @param {Player} player
+   * @param {Card} card
+   * @param {string} value the value the card was played as, a Flip card may be turned over since
+   * @param {Player | null} target player to swap hands with after a 7
+   */
+  #handLogic(player, card, value, target) {
+    let moves;
+    if (value === values.SEVEN) {
+      moves = [{ from: player, to: target }, { from: target, to: player }];
+    } else if (value === values.ZERO) {
+      moves = this.players
+        .filter(p => !this.hasFinished(p))
+        .map(p => ({ from: p, to: this.getNextPlayer(this.rotation, p) }));
+    } else {
+      return;
+    }
 
-      default:
-        return true;
+    const hands = new Map(moves.map(({ from }) => [from, from.hand]));
+    for (const { from, to } of moves) {
+      to.hand = hands.get(from);
+      to.saidUno = false;
     }
+    // nobody can be caught for a hand they just got
+    this.unoCatchable = null;
+
+    this.eventManager.fireEvent(HandSwapEvent.fire(player, card, moves));
   }
 
   /**
-   * Player attempts to play a card
+   * Player attempts to play a card. With `config.jumpIn` other players may
+   * play an exact copy of the top card, see jumpIn.
    * @param {Player} player
    * @param {Card} card
+   * @param {Player | null} [target=null] player to swap hands with when playing a 7 with `config.sevenO`
    * @returns {boolean} success
    */
-  play(player, card) {
-    if (!player) throw new Error("No player provided");
-    if (!(player instanceof Player)) throw new Error("Player must be an instance of Player");
-    if (!card) throw new Error("No card provided");
-    if (!(card instanceof Card)) throw new Error("Card must be an instance of Card");
+  play(player, card, target = null) {
+    return this.#record(
+      () => this.#play(player, card, target),
+      () => this.#entry(player !== this.currentPlayer ? actions.JUMP_IN : actions.PLAY, player, {
+        card: card instanceof Card ? card.toJSON() : null,
+        cardIndex: player instanceof Player ? player.hand.cards.indexOf(card) : -1,
+        ...(card instanceof Card && card.wild ? { color: card.wildPickedColor?.color ?? null } : {}),
+        ...(target ? { target: this.players.indexOf(target) } : {}),
+      })
+    );
+  }
 
-    const topDiscard = this.discardedCards.getTopCard();
+  /** play without recording it, see #record */
+  #play(player, card, target = null) {
+    if (!player) throw new InvalidPlayerError("No player provided");
+    if (!(player instanceof Player)) throw new InvalidPlayerError("Player must be an instance of Player");
+    if (!card) throw new InvalidCardError("No card provided");
+    if (!(card instanceof Card)) throw new InvalidCardError("Card must be an instance of Card");
+    if (this.state === "FINISHED") throw new GameStateError("Game already finished", "GAME_FINISHED");
 
-    if (
-      player.hand.cards.includes(card) &&
-      player === this.currentPlayer &&
-      card.isValidOn(topDiscard, true, this.config.stackCards && this.state === "STACK_DRAW")
-    ) {
-      if (card.wild) card.color = card.wildPickedColor;
-
-      if (typeof this.config.override.functions.gameLogic === 'function') {
-        this.config.override.functions.gameLogic(player, card);
-      } else {
-        this.#gameLogic(player, card);
+    const rejection = this.#playRejection(player, card, target);
+    if (rejection) return this.#reject(rejection);
+
+    // listeners may veto the play or swap the card, which has to be legal as well
+    const beforePlay = BeforePlayEvent.fire(player, card);
+    this.eventManager.fireEvent(beforePlay);
+    if (beforePlay.cancelled) return this.#reject("CANCELLED");
+    card = beforePlay.args[1];
+
+    const swappedRejection = this.#playRejection(player, card, target);
+    if (!swappedRejection) {
+      this.lastRejection = null;
+      if (player !== this.currentPlayer) {
+        // jump-in: play goes on from the player, so Skip and Reverse count from them
+        const previousPlayer = this.currentPlayer;
+        this.currentPlayer = player;
+        this.eventManager.fireEvent(JumpInEvent.fire(player, card, previousPlayer, this.turn));
       }
+      if (this.state === "DRAWN") {
+        this.state = "PLAYING";
+        this.drawnCard = null;
+        this.eventManager.fireEvent(DrawChoiceEvent.fire(player, card, "PLAYED"));
+      }
+      if (card.wild) {
+        card.color = card.wildPickedColor;
+        this.eventManager.fireEvent(WildColorPickEvent.fire(player, card, card.wildPickedColor));
+      }
+      this.unoCatchable = null;
 
+      const value = card.value.value;
       player.hand.removeCard(card);
       this.discardedCards.addCard(card);
+      if (player.hand.cards.length === 1 && !player.saidUno) this.unoCatchable = player;
+      this.#applyRule(player, card);
+      if (player.hand.cards.length === 0) this.#finishPlayer(player);
+      // a player who went out keeps their empty hand
+      if (this.config.sevenO && player.hand.cards.length > 0) this.#handLogic(player, card, value, target);
+
+      if (this.state === "FINISHED") {
+        this.eventManager.fireEvent(PlayerPlayEvent.fire(player, card, null));
+        this.eventManager.fireEvent(GameEndEvent.fire(this.winner, this.finishOrder));
+        return true;
+      }
+
       this.eventManager.fireEvent(PlayerPlayEvent.fire(player, card, this.getNextPlayer()));
       this.setNextPlayer();
       return true;
     }
 
+    return this.#reject(swappedRejection);
+  }
+
+  /**
+   * Plays an identical copy of the top card out of turn, see Config.jumpIn.
+   * Jump-ins are served in the order they arrive. A jump-in decided on an
+   * earlier turn, e.g. by a listener that still reacts to an older play, is
+   * rejected with JUMP_IN_TOO_LATE once someone else jumped in first.
+   * @param {Player} player
+   * @param {Card} card
+   * @param {number} [turn=this.turn] the turn the player saw when deciding to jump in
+   * @param {Player | null} [target=null] see play
+   * @returns {boolean} success
+   */
+  jumpIn(player, card, turn = this.turn, target = null) {
+    if (!Number.isInteger(turn)) throw new InvalidArgumentError("Turn must be an integer");
+    if (this.state !== "FINISHED" && turn !== this.turn) return this.#reject("JUMP_IN_TOO_LATE");
+    return this.play(player, card, target);
+  }
+
+  /**
+   * Same as play, but resolves after all listeners of the fired events have
+   * completed. Meant for the async event modes (`config.eventMode`).
+   * @param {Player} player
+   * @param {Card} card
+   * @param {Player | null} [target=null]
+   * @returns {Promise<boolean>} success
+   */
+  async playAsync(player, card, target = null) {
+    const result = this.play(player, card, target);
+    await this.eventManager.flush();
+    return result;
+  }
+
+  /**
+   * Same as draw, but resolves after all listeners of the fired events have
+   * completed. Meant for the async event modes (`config.eventMode`).
+   * @param {Player} player
+   * @param {number} cards
+   * @returns {Promise<boolean>} whether drawing was successful
+   */
+  async drawAsync(player, cards = 1) {
+    const result = this.draw(player, cards);
+    await this.eventManager.flush();
+    return result;
+  }
+
+  /**
+   * Why the player may not play the card right now
+   * @param {Player} player
+   * @param {Card} card
+   * @param {Player | null} [target=null]
+   * @returns {string | null} rejection reason, null if the card can be played
+   */
+  #playRejection(player, card, target = null) {
+    if (!(card instanceof Card)) return "INVALID_ACTION";
+    if (player !== this.currentPlayer && !this.#canJumpIn(player, card)) return "NOT_YOUR_TURN";
+    if (this.state === "CONTEST") return "CONTEST_PENDING";
+    if (!player.hand.cards.includes(card)) return "CARD_NOT_IN_HAND";
+    if (this.state === "DRAWN" && card !== this.drawnCard) return "ONLY_DRAWN_CARD";
+    if (card.wild && !this.getPickableColors().includes(card.wildPickedColor?.color)) return "COLOR_REQUIRED";
+
+    if (!card.isValidOn(this.discardedCards.getTopCard(), true, this.#stackingPolicy())) return "ILLEGAL_CARD";
+
+    // the target is not needed if the 7 is the last card
+    if (this.config.sevenO && card.value.value === values.SEVEN && player.hand.cards.length > 1) {
+      if (!target) return "TARGET_REQUIRED";
+      if (target === player || !this.players.includes(target) || this.hasFinished(target)) return "INVALID_TARGET";
+    }
+    return null;
+  }
+
+  /**
+   * Rules for cards played on the pending draw pile, false without one
+   * @returns {import('../Config').StackingPolicy | false}
+   */
+  #stackingPolicy() {
+    return this.config.stackCards && this.state === "STACK_DRAW" ? this.config.stacking : false;
+  }
+
+  /**
+   * Colors a wild card can be given: the colors of the deck, in UNO Flip
+   * the colors of the side that is up
+   * @returns {string[]}
+   */
+  getPickableColors() {
+    if (this.config.variant === flipValues.variant) return flipValues.sideColors[this.side].slice();
+    return Object.keys(this.config.deck ?? cardCounts).filter(color => color !== colors.BLACK);
+  }
+
+  /**
+   * Whether the player may play the card out of turn: only an exact copy of
+   * a colored top card, and only while nobody has to draw or decide.
+   * @param {Player} player
+   * @param {Card} card
+   * @returns {boolean}
+   */
+  #canJumpIn(player, card) {
+    if (!this.config.jumpIn || this.state !== "PLAYING") return false;
+    if (!this.players.includes(player) || this.hasFinished(player)) return false;
+    const topCard = this.discardedCards.getTopCard();
+    return !card.wild && card.equals(topCard);
+  }
+
+  /**
+   * Turns every card of the game over: the draw piles, the discard pile and
+   * all hands. Piles are turned as a whole, so their order is reversed.
+   * Called by the Flip card of UNO Flip.
+   * @param {Player} player the player who played the Flip card
+   * @param {Card} card the Flip card
+   */
+  flip(player, card) {
+    this.side = this.side === "LIGHT" ? "DARK" : "LIGHT";
+    for (const deck of [...this.decks, this.discardedCards]) {
+      deck.cards.reverse();
+      deck.cards.forEach(c => c.flip());
+    }
+    for (const p of this.players) p.hand.cards.forEach(c => c.flip());
+
+    // a wild card turned up on the discard pile gets a color to play on
+    const topCard = this.discardedCards.getTopCard();
+    if (topCard?.wild && topCard.color.color === colors.BLACK) {
+      topCard.wildPickedColor = new Color(this.#getRandomFromArr(this.getPickableColors()), this.config.variant);
+      topCard.color = topCard.wildPickedColor;
+    }
+
+    this.eventManager.fireEvent(FlipEvent.fire(player, card, this.side));
+  }
+
+  /**
+   * Enters the CONTEST state after a Wild Draw Four, remembering what the
+   * player held so a challenge can be judged later.
+   * @param {Player} player
+   * @param {Card} card the Wild Draw Four being played
+   */
+  #openContest(player, card) {
+    this.contest = {
+      player,
+      victim: this.getNextPlayer(),
+      // the Wild Draw Four is already on the discard pile
+      previousColor: this.discardedCards.cards[1].color.color,
+      hand: player.hand.cards.filter(c => c !== card),
+    };
+    this.state = "CONTEST";
+  }
+
+  /**
+   * The victim of a Wild Draw Four challenges it. If the player who played
+   * it held a card of the previous color, they draw 4 and the victim plays
+   * on. Otherwise the victim draws 6 and loses their turn.
+   * @param {Player} player the challenging player
+   * @returns {boolean} whether the challenge could be made
+   */
+  challenge(player) {
+    return this.#record(
+      () => this.#challenge(player),
+      () => this.#entry(actions.CHALLENGE, player)
+    );
+  }
+
+  /** challenge without recording it, see #record */
+  #challenge(player) {
+    if (!player) throw new InvalidPlayerError("No player provided");
+    if (!(player instanceof Player)) throw new InvalidPlayerError("Player must be an instance of Player");
+    const rejection = this.#contestRejection(player);
+    if (rejection) return this.#reject(rejection);
+    this.lastRejection = null;
+
+    const { player: offender, previousColor, hand } = this.contest;
+    const guilty = hand.some(c => !c.wild && c.color.color === previousColor);
+
+    this.contest = null;
+    this.state = "PLAYING";
+    this.unoCatchable = null;
+
+    if (guilty) {
+      this.draw(offender, 4, false, false, true, true);
+      this.eventManager.fireEvent(ContestEvent.fire(player, offender, "GUILTY", offender, 4));
+    } else {
+      this.draw(player, 6, false, false, true, true);
+      this.eventManager.fireEvent(ContestEvent.fire(player, offender, "NOT_GUILTY", player, 6));
+      this.setNextPlayer();
+    }
+    return true;
+  }
+
+  /**
+   * The victim of a Wild Draw Four accepts it, draws 4 and loses their turn.
+   * @param {Player} player the accepting player
+   * @returns {boolean} whether there was a Wild Draw Four to accept
+   */
+  accept(player) {
+    return this.#record(
+      () => this.#accept(player),
+      () => this.#entry(actions.ACCEPT, player)
+    );
+  }
+
+  /** accept without recording it, see #record */
+  #accept(player) {
+    if (!player) throw new InvalidPlayerError("No player provided");
+    if (!(player instanceof Player)) throw new InvalidPlayerError("Player must be an instance of Player");
+    const rejection = this.#contestRejection(player);
+    if (rejection) return this.#reject(rejection);
+    this.lastRejection = null;
+
+    const offender = this.contest.player;
+
+    this.contest = null;
+    this.state = "PLAYING";
+    this.unoCatchable = null;
+
+    this.draw(player, 4, false, false, true, true);
+    this.eventManager.fireEvent(ContestEvent.fire(player, offender, "ACCEPTED", player, 4));
+    this.setNextPlayer();
+    return true;
+  }
+
+  /**
+   * Player declares UNO. Allowed on their own turn while holding two cards
+   * (before playing the second to last one) or at any time with one card left.
+   * @param {Player} player
+   * @returns {boolean} whether the call was accepted
+   */
+  callUno(player) {
+    return this.#record(
+      () => this.#callUno(player),
+      () => this.#entry(actions.CALL_UNO, player)
+    );
+  }
+
+  /** callUno without recording it, see #record */
+  #callUno(player) {
+    if (!player) throw new InvalidPlayerError("No player provided");
+    if (!(player instanceof Player)) throw new InvalidPlayerError("Player must be an instance of Player");
+    if (this.state === "FINISHED") throw new GameStateError("Game already finished", "GAME_FINISHED");
+
+    const cardCount = player.hand.cards.length;
+    const canCall = cardCount === 1 || (cardCount === 2 && player === this.currentPlayer);
+    if (!canCall || player.saidUno) return this.#reject("CANNOT_CALL_UNO");
+
+    this.lastRejection = null;
+    player.saidUno = true;
+    if (this.unoCatchable === player) this.unoCatchable = null;
+
+    this.eventManager.fireEvent(PlayerUnoEvent.fire(player));
+    return true;
+  }
+
+  /**
+   * Accuser calls out a player that has one card left and did not say UNO.
+   * The target draws `config.unoPenalty` cards if the catch is valid.
+   * @param {Player} accuser
+   * @param {Player} target
+   * @returns {boolean} whether the catch was valid
+   */
+  catchUno(accuser, target) {
+    return this.#record(
+      () => this.#catchUno(accuser, target),
+      () => this.#entry(actions.CATCH_UNO, accuser, { target: this.players.indexOf(target) })
+    );
+  }
+
+  /** catchUno without recording it, see #record */
+  #catchUno(accuser, target) {
+    if (!accuser || !target) throw new InvalidPlayerError("No player provided");
+    if (!(accuser instanceof Player) || !(target instanceof Player)) {
+      throw new InvalidPlayerError("Player must be an instance of Player");
+    }
+    if (this.state === "FINISHED") throw new GameStateError("Game already finished", "GAME_FINISHED");
+
+    if (
+      accuser === target ||
+      this.unoCatchable !== target ||
+      target.saidUno ||
+      target.hand.cards.length !== 1
+    ) return this.#reject("CANNOT_CATCH_UNO");
+
+    this.lastRejection = null;
+    this.unoCatchable = null;
+
+    const handSize = target.hand.cards.length;
+    this.draw(target, this.config.unoPenalty, false, false, true, true);
+    // drawn cards are added to the top of the hand
+    const penaltyCards = target.hand.cards.slice(0, target.hand.cards.length - handSize);
+
+    this.eventManager.fireEvent(PlayerUnoCatchEvent.fire(accuser, target, penaltyCards));
+    return true;
+  }
+
+  /**
+   * Why the player may not challenge or accept right now
+   * @param {Player} player
+   * @returns {string | null}
+   */
+  #contestRejection(player) {
+    if (player !== this.currentPlayer) return "NOT_YOUR_TURN";
+    if (this.state !== "CONTEST") return "NO_CONTEST";
+    return null;
+  }
+
+  /**
+   * Remembers why a call was rejected, see lastRejection
+   * @param {string} code
+   * @returns {false}
+   */
+  #reject(code) {
+    this.lastRejection = fromCode(code);
     return false;
   }
 
+  /**
+   * Records that a player emptied their hand and ends the game once
+   * enough places are taken or only one player is left.
+   * @param {Player} player
+   */
+  #finishPlayer(player) {
+    if (this.finishOrder.includes(player)) return;
+    this.finishOrder.push(player);
+    if (this.winner === null) this.winner = player;
+
+    const remaining = this.players.length - this.finishOrder.length;
+    if (this.finishOrder.length >= this.config.placesToFinish || remaining <= 1) {
+      this.state = "FINISHED";
+    }
+  }
+
+  /**
+   * Whether a player has already gone out
+   * @param {Player} player
+   * @returns {boolean}
+   */
+  hasFinished(player) {
+    return this.finishOrder.includes(player);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Player | null} first player with that name
+   */
+  getPlayerByName(name) {
+    return this.players.find(p => p.name === name) ?? null;
+  }
+
   /**
    * Gets the next player based on rotation and current player
    * @param {"CW" | "CCW"} rotation
@@ -286,64 +951,477 @@ module.exports = class Game {
    */
   getNextPlayer(rotation = this.rotation, currentPlayer = this.currentPlayer) {
     if (rotation !== "CW" && rotation !== "CCW") {
-      throw new Error("Invalid rotation. It must be 'CW' or 'CCW'.");
+      throw new InvalidArgumentError("Invalid rotation. It must be CW or CCW");
     }
     if (currentPlayer !== null && !(currentPlayer instanceof Player)) {
-      throw new Error("CurrentPlayer must be an instance of Player or null.");
+      throw new InvalidPlayerError("CurrentPlayer must be an instance of Player or null");
     }
     if (currentPlayer === null) return this.#getRandomFromArr(this.players);
 
     let index = this.players.indexOf(currentPlayer);
-    if (rotation === "CW") {
-      index = (index + 1) % this.players.length;
-    } else {
-      index = (index - 1 + this.players.length) % this.players.length;
+    // Players that already went out are skipped
+    for (let i = 0; i < this.players.length; i++) {
+      if (rotation === "CW") {
+        index = (index + 1) % this.players.length;
+      } else {
+        index = (index - 1 + this.players.length) % this.players.length;
+      }
+      if (!this.hasFinished(this.players[index])) break;
     }
     return this.players[index];
   }
 
+  /**
+   * What a player may know about the game: their own hand, the size of the
+   * other hands, the public piles and what they can do right now. Without a
+   * player it is the view of a spectator, who sees no hand at all.
+   * Players are referenced by their index in `players`.
+   * @param {Player | null} [player=null]
+   */
+  getView(player = null) {
+    if (player !== null && !this.players.includes(player)) throw new InvalidPlayerError("Player is not part of this game", "UNKNOWN_PLAYER");
+    const index = p => (p ? this.players.indexOf(p) : null);
+
+    return {
+      state: this.state,
+      turn: this.turn,
+      rotation: this.rotation,
+      // side that is up in UNO Flip
+      side: this.side,
+      me: index(player),
+      hand: player ? player.hand.cards.slice() : null,
+      currentPlayer: index(this.currentPlayer),
+      nextPlayer: this.currentPlayer ? index(this.getNextPlayer()) : null,
+      players: this.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        cardCount: p.hand.cards.length,
+        saidUno: p.saidUno,
+        finished: this.hasFinished(p),
+      })),
+      topCard: this.discardedCards.getTopCard(),
+      // top card first
+      discardPile: this.discardedCards.cards.slice(),
+      drawPileSize: this.decks.reduce((sum, d) => sum + d.cards.length, 0),
+      stackDrawAmount: this.stackDrawAmount,
+      // colors a wild card can be given
+      colors: this.getPickableColors(),
+      // only the player who drew knows the card
+      drawnCard: player && player === this.currentPlayer ? this.drawnCard : null,
+      unoCatchable: index(this.unoCatchable),
+      // the hand of a challenged player stays hidden
+      contest: this.contest && { player: index(this.contest.player), victim: index(this.contest.victim) },
+      winner: index(this.winner),
+      finishOrder: this.finishOrder.map(index),
+      legalActions: player ? this.getLegalActions(player) : [],
+    };
+  }
+
+  /**
+   * Everything the player may do right now. Wild cards get one PLAY action
+   * per color, sevens with the Seven-O rule one per player to swap with.
+   * Other players get JUMP_IN actions for exact copies of the top card.
+   * @param {Player} player
+   * @returns {Action[]} players are referenced by index
+   */
+  getLegalActions(player) {
+    if (!(player instanceof Player)) throw new InvalidPlayerError("Player must be an instance of Player");
+    if (this.state === "NOT_STARTED" || this.state === "FINISHED" || this.hasFinished(player)) return [];
+
+    const index = this.players.indexOf(player);
+    if (index === -1) return [];
+
+    const legal = [];
+    const target = this.unoCatchable;
+    if (target && target !== player && !target.saidUno && target.hand.cards.length === 1) {
+      legal.push({ type: actions.CATCH_UNO, player: index, target: this.players.indexOf(target) });
+    }
+
+    const cardCount = player.hand.cards.length;
+    if (!player.saidUno && (cardCount === 1 || (cardCount === 2 && player === this.currentPlayer))) {
+      legal.push({ type: actions.CALL_UNO, player: index });
+    }
+
+    const targets = this.players
+      .map((p, i) => i)
+      .filter(i => i !== index && !this.hasFinished(this.players[i]));
+    // sevens with the Seven-O rule need a player to swap with
+    const needsTarget = card => this.config.sevenO && card.value.value === values.SEVEN && player.hand.cards.length > 1;
+
+    if (player !== this.currentPlayer) {
+      for (const card of player.hand.cards.filter(c => this.#canJumpIn(player, c))) {
+        const action = { type: actions.JUMP_IN, player: index, card, turn: this.turn };
+        if (needsTarget(card)) targets.forEach(target => legal.push({ ...action, target }));
+        else legal.push(action);
+      }
+      return legal;
+    }
+
+    if (this.state === "CONTEST") {
+      legal.push({ type: actions.CHALLENGE, player: index }, { type: actions.ACCEPT, player: index });
+      return legal;
+    }
+
+    const playable = this.state === "DRAWN"
+      ? [this.drawnCard]
+      : player.getPlayableCards(this.discardedCards.getTopCard(), false, this.#stackingPolicy());
+    for (const card of playable) {
+      if (card.wild) {
+        for (const color of this.getPickableColors()) legal.push({ type: actions.PLAY, player: index, card, color });
+      } else if (needsTarget(card)) {
+        for (const target of targets) legal.push({ type: actions.PLAY, player: index, card, color: null, target });
+      } else {
+        legal.push({ type: actions.PLAY, player: index, card, color: null });
+      }
+    }
+    legal.push({ type: this.state === "DRAWN" ? actions.PASS : actions.DRAW, player: index });
+    return legal;
+  }
+
+  /**
+   * Validates and carries out an action, e.g. one of getLegalActions.
+   * Rejections carry the reason instead of throwing:
+   * INVALID_ACTION, UNKNOWN_PLAYER, GAME_NOT_STARTED, GAME_FINISHED,
+   * NOT_YOUR_TURN, JUMP_IN_TOO_LATE, CONTEST_PENDING, NO_CONTEST, CARD_NOT_IN_HAND,
+   * COLOR_REQUIRED, ILLEGAL_CARD, ONLY_DRAWN_CARD, TARGET_REQUIRED, INVALID_TARGET,
+   * ALREADY_DRAWN, PASS_NOT_ALLOWED, CANNOT_CALL_UNO,
+   * CANNOT_CATCH_UNO and CANCELLED (by a before event listener).
+   * `error` is the matching UnoError, so apply never throws.
+   * @param {Action} action
+   * @returns {{ success: boolean, reason: string | null, error: import('../errors').UnoError | null }}
+   */
+  apply(action) {
+    const reject = reason => ({ success: false, reason, error: fromCode(reason) });
+
+    if (!action || typeof action !== "object" || !Object.values(actions).includes(action.type)) {
+      return reject("INVALID_ACTION");
+    }
+    const player = this.#resolvePlayer(action.player);
+    if (!player) return reject("UNKNOWN_PLAYER");
+    if (this.state === "NOT_STARTED") return reject("GAME_NOT_STARTED");
+    if (this.state === "FINISHED") return reject("GAME_FINISHED");
+
+    let success;
+
+    switch (action.type) {
+      case actions.PLAY:
+      case actions.JUMP_IN: {
+        const card = this.#resolveCard(player, action.card);
+        if (!card) return reject(action.card ? "CARD_NOT_IN_HAND" : "INVALID_ACTION");
+        let target = null;
+        if (action.target !== undefined && action.target !== null) {
+          target = this.#resolvePlayer(action.target);
+          if (!target) return reject("INVALID_TARGET");
+        }
+        const pickedColor = card.wildPickedColor;
+        if (card.wild) {
+          if (!this.getPickableColors().includes(action.color)) return reject("COLOR_REQUIRED");
+          card.wildPickedColor = new Color(action.color, this.config.variant);
+        }
+        success = action.type === actions.JUMP_IN
+          ? this.jumpIn(player, card, Number.isInteger(action.turn) ? action.turn : this.turn, target)
+          : this.play(player, card, target);
+        // the card in hand keeps no color of a rejected play
+        if (!success) card.wildPickedColor = pickedColor;
+        break;
+      }
+
+      case actions.DRAW:
+        // false without a rejection means the piles ran out of cards, the turn still ended
+        success = this.draw(player) || this.lastRejection === null;
+        break;
+
+      case actions.PASS:
+        success = this.pass(player);
+        break;
+
+      case actions.CALL_UNO:
+        success = this.callUno(player);
+        break;
+
+      case actions.CATCH_UNO: {
+        const target = this.#resolvePlayer(action.target);
+        if (!target) return reject("UNKNOWN_PLAYER");
+        success = this.catchUno(player, target);
+        break;
+      }
+
+      case actions.CHALLENGE:
+        success = this.challenge(player);
+        break;
+
+      case actions.ACCEPT:
+        success = this.accept(player);
+        break;
+    }
+
+    return success ? { success: true, reason: null, error: null } : reject(this.lastRejection.code);
+  }
+
+  /**
+   * @param {number | Player} player index in players or instance
+   * @returns {Player | null}
+   */
+  #resolvePlayer(player) {
+    if (player instanceof Player) return this.players.includes(player) ? player : null;
+    return Number.isInteger(player) ? this.players[player] ?? null : null;
+  }
+
+  /**
+   * Finds the card of an action in the hand. Cards from a serialized view
+   * are matched by color and value.
+   * @param {Player} player
+   * @param {Card | { color: any, value: any }} card
+   * @returns {Card | null}
+   */
+  #resolveCard(player, card) {
+    if (!card || typeof card !== "object") return null;
+    if (card instanceof Card) return player.hand.cards.includes(card) ? card : null;
+
+    const name = part => (typeof part === "string" ? part : part?.color ?? part?.value);
+    const color = name(card.color);
+    const value = name(card.value);
+    return player.hand.cards.find(c =>
+      c.value.value === value && (c.wild || c.color.color === color)
+    ) ?? null;
+  }
+
+  /**
+   * Actions since the start of the game, oldest first, see HistoryEntry
+   * @returns {HistoryEntry[]}
+   */
+  history() {
+    return this.#history.map(({ entry }) => entry);
+  }
+
+  /**
+   * Takes back the last action, e.g. a disputed turn, and fires an
+   * UndoEvent. Only the last `config.undoLimit` actions can be undone.
+   * @returns {boolean} false if there is nothing to undo
+   */
+  undo() {
+    const last = this.#history[this.#history.length - 1];
+    if (!last?.before) return this.#reject("NOTHING_TO_UNDO");
+
+    this.lastRejection = null;
+    this.#history.pop();
+    this.#undone.push({ ...last, after: this.#snapshot() });
+    this.#restore(JSON.parse(last.before));
+    this.eventManager.fireEvent(UndoEvent.fire(last.entry));
+    return true;
+  }
+
+  /**
+   * Restores the last undone action and fires a RedoEvent. A new action
+   * after undoing discards the undone ones.
+   * @returns {boolean} false if there is nothing to redo
+   */
+  redo() {
+    const next = this.#undone.pop();
+    if (!next) return this.#reject("NOTHING_TO_REDO");
+
+    this.lastRejection = null;
+    this.#history.push({ entry: next.entry, before: next.before });
+    this.#restore(JSON.parse(next.after));
+    this.eventManager.fireEvent(RedoEvent.fire(next.entry));
+    return true;
+  }
+
+  /**
+   * The game as replay to share or re-watch it, see Replay. Only games with
+   * the seeded generator can be replayed, not ones with `config.random`.
+   * @returns {import('./ReplayFormat').ReplayJSON}
+   */
+  toReplay() {
+    if (!this.random) throw new GameStateError("Only games with a seed can be replayed", "NOT_REPLAYABLE");
+    if (this.state === "NOT_STARTED") throw new GameStateError("Game not started", "GAME_NOT_STARTED");
+    return ReplayFormat.create(this);
+  }
+
+  /**
+   * Runs an action and adds it to the history if it changed the game.
+   * Actions it starts, like the draw of an accepted Wild Draw Four, are part
+   * of it. Dealing before the start is not recorded.
+   * @param {() => boolean} action
+   * @param {() => Omit<HistoryEntry, "reshuffled">} describe called before the action
+   * @returns {boolean} result of the action
+   */
+  #record(action, describe) {
+    if (this.#recording || this.state === "NOT_STARTED") return action();
+
+    const entry = describe();
+    const before = this.config.undoLimit > 0 ? this.#snapshot() : null;
+    this.lastRejection = null;
+    this.#reshuffled = false;
+    this.#entryChanges = {};
+    this.#recording = true;
+    let result;
+    try {
+      result = action();
+    } finally {
+      this.#recording = false;
+    }
+    // rejected actions did not change anything, a draw from empty piles did
+    if (this.lastRejection) return result;
+
+    this.#history.push({ entry: deepFreeze({ ...entry, ...this.#entryChanges, reshuffled: this.#reshuffled }), before });
+    this.#undone = [];
+    const expired = this.#history[this.#history.length - 1 - this.config.undoLimit];
+    if (expired) expired.before = null;
+    return result;
+  }
+
+  /**
+   * @param {string} type
+   * @param {Player} player
+   * @param {object} [details={}]
+   */
+  #entry(type, player, details = {}) {
+    return {
+      type,
+      turn: this.turn,
+      player: this.players.indexOf(player),
+      ...details,
+      random: this.random ? this.random.state : null,
+    };
+  }
+
+  /**
+   * @returns {string} the state of the game as JSON string, see #restore
+   */
+  #snapshot() {
+    return JSON.stringify(this.#stateJSON());
+  }
+
   /**
    * Serialize game state to JSON
    */
   toJSON() {
     return {
+      formatVersion: SaveFormat.FORMAT_VERSION,
       config: this.config.toJSON(),
       initPlayers: this.initPlayers.map(p => (p instanceof Player ? p.toJSON() : p)),
+      ...this.#stateJSON(),
+      history: {
+        done: this.#history.map(({ entry, before }) => ({ entry, before: before && JSON.parse(before) })),
+        undone: this.#undone.map(({ entry, before, after }) => ({ entry, before: JSON.parse(before), after: JSON.parse(after) })),
+      },
+    };
+  }
+
+  /**
+   * Everything that changes while playing, without config and history
+   */
+  #stateJSON() {
+    return {
       rotation: this.rotation,
-      currentPlayer: this.currentPlayer,
+      side: this.side,
+      currentPlayer: this.currentPlayer ? this.players.indexOf(this.currentPlayer) : null,
       state: this.state,
+      stackDrawAmount: this.stackDrawAmount,
+      drawnCard: this.drawnCard ? this.currentPlayer.hand.cards.indexOf(this.drawnCard) : null,
+      turn: this.turn,
+      random: this.random ? this.random.toJSON() : null,
       discardedCards: this.discardedCards.toJSON(),
       decks: this.decks.map(d => d.toJSON()),
       players: this.players.map(p => p.toJSON()),
+      winner: this.winner ? this.players.indexOf(this.winner) : null,
+      finishOrder: this.finishOrder.map(p => this.players.indexOf(p)),
+      unoCatchable: this.unoCatchable ? this.players.indexOf(this.unoCatchable) : null,
+      contest: this.contest && {
+        player: this.players.indexOf(this.contest.player),
+        victim: this.players.indexOf(this.contest.victim),
+        previousColor: this.contest.previousColor,
+        hand: this.contest.hand.map(c => c.toJSON()),
+      },
     };
   }
 
   /**
-   * Reconstructs a Game instance from JSON
+   * Sets the state from #stateJSON. Players that exist already keep their
+   * instance and get the saved hand.
    * @param {any} json
-   * @param {Config} config only override part is used
+   */
+  #restore(json) {
+    this.rotation = json.rotation;
+    this.side = json.side;
+
+    this.decks = json.decks.map(deckJson => this.classes.Deck.fromJSON(deckJson));
+    if (this.players.length === 0) {
+      this.players = json.players.map(playerJson => this.classes.Player.fromJSON(playerJson));
+    } else {
+      json.players.forEach((playerJson, i) => {
+        const player = this.players[i];
+        player.hand = player.hand.constructor.fromJSON(playerJson.hand);
+        player.saidUno = playerJson.saidUno ?? false;
+      });
+    }
+    // a color picked for a wild card in hand belongs to a play that did not happen
+    for (const player of this.players) player.hand.cards.forEach(card => card.resetWild());
+    this.discardedCards = this.classes.Deck.fromJSON(json.discardedCards);
+    this.currentPlayer = this.players[json.currentPlayer] ?? null;
+
+    this.state = json.state;
+    this.stackDrawAmount = json.stackDrawAmount;
+    this.drawnCard = json.drawnCard != null ? this.currentPlayer.hand.cards[json.drawnCard] ?? null : null;
+    this.turn = json.turn;
+    if (json.random) this.random = Random.fromJSON(json.random);
+    this.finishOrder = (json.finishOrder || []).map(i => this.players[i]);
+    this.winner = json.winner != null ? this.players[json.winner] : null;
+    this.unoCatchable = json.unoCatchable != null ? this.players[json.unoCatchable] : null;
+    this.contest = json.contest ? {
+      player: this.players[json.contest.player],
+      victim: this.players[json.contest.victim],
+      previousColor: json.contest.previousColor,
+      hand: json.contest.hand.map(cardJson => Card.fromJSON(cardJson)),
+    } : null;
+  }
+
+  /**
+   * Reconstructs a Game instance from JSON. Saves of older format versions
+   * are migrated first, see SaveFormat.
+   * @param {any} json object returned by toJSON or its stringified form
+   * @param {Config} config only override part and the custom random function are used,
+   * the other options are restored from the save
    * @returns {Game}
    */
   static fromJSON(json, config) {
     const invalidText = "Invalid JSON: {0}. You can only import a game that was exported or you did something wrong.";
-    if (!json) throw new Error(invalidText.replace("{0}", "No JSON provided"));
-    if (!json.initPlayers) throw new Error(invalidText.replace("{0}", "No initPlayers"));
-    if (!json.decks) throw new Error(invalidText.replace("{0}", "No decks"));
-    if (!json.players) throw new Error(invalidText.replace("{0}", "No players"));
-    if (!json.discardedCards) throw new Error(invalidText.replace("{0}", "No discardedCards"));
+    const invalid = reason => new InvalidSaveError(invalidText.replace("{0}", reason));
 
-    // Use provided config or default
-    config = config instanceof Config ? config : new Config();
+    if (!json) throw invalid("json is missing");
+    if (!(config instanceof Config)) throw new InvalidArgumentError("config is missing");
+    if (typeof json === "string") {
+      try {
+        json = JSON.parse(json);
+      } catch {
+        throw invalid("json is not parsable");
+      }
+    }
+
+    if (!json.config) throw invalid("config in json is missing");
+    for (const key of ["initPlayers", "rotation", "currentPlayer", "state", "discardedCards", "decks", "players"]) {
+      if (json[key] === undefined) throw invalid(`${key} is missing`);
+    }
 
-    const game = new Game(json.initPlayers, config);
-    game.rotation = json.rotation;
-    game.currentPlayer = json.currentPlayer;
+    json = SaveFormat.migrate(json);
 
-    game.decks = json.decks.map(deckJson => Deck.fromJSON(deckJson));
-    game.players = json.players.map(playerJson => Player.fromJSON(playerJson));
-    game.discardedCards = Deck.fromJSON(json.discardedCards);
+    const restoredConfig = Config.fromJSON(json.config);
+    restoredConfig.override = config.override;
+    restoredConfig.random = config.random;
 
-    game.state = json.state;
+    // Player instances are exported as JSON, only their names are needed here
+    const game = new Game(json.initPlayers.map(p => (typeof p === "string" ? p : p.name)), restoredConfig);
+    game.#restore(json);
+    game.#history = json.history.done.map(({ entry, before }) => ({
+      entry: deepFreeze(entry),
+      before: before && JSON.stringify(before),
+    }));
+    game.#undone = json.history.undone.map(({ entry, before, after }) => ({
+      entry: deepFreeze(entry),
+      before: JSON.stringify(before),
+      after: JSON.stringify(after),
+    }));
 
     return game;
   }
@@ -353,10 +1431,13 @@ module.exports = class Game {
    * @param {boolean} silent if true, does not fire player change event
    */
   setNextPlayer(silent = false) {
+    const previousPlayer = this.currentPlayer;
     this.currentPlayer = this.getNextPlayer();
 
     if (!silent) {
-      this.eventManager.fireEvent(PlayerChangeEvent.fire(this.currentPlayer));
+      this.turn++;
+      this.eventManager.fireEvent(PlayerChangeEvent.fire(previousPlayer, this.currentPlayer));
+      this.eventManager.fireEvent(TurnStartEvent.fire(this.currentPlayer, this.turn));
     }
   }
 
@@ -365,6 +1446,7 @@ module.exports = class Game {
    */
   flipDirection() {
     this.rotation = this.rotation === "CW" ? "CCW" : "CW";
+    this.eventManager.fireEvent(DirectionChangeEvent.fire(this.rotation));
   }
 
   /**
@@ -377,12 +1459,18 @@ module.exports = class Game {
       // Reshuffle discarded cards except the top one
       const topCard = this.discardedCards.getTopCard(true);
       const cardsToShuffle = this.discardedCards.cards;
-      this.discardedCards = new Deck();
+      // played wild cards keep their picked color until they are shuffled back
+      cardsToShuffle.forEach(c => c.resetWild());
+      this.discardedCards = new this.classes.Deck();
       if (topCard) this.discardedCards.addCard(topCard);
-      deck = new Deck();
+      deck = new this.classes.Deck();
       deck.cards = cardsToShuffle;
-      deck.shuffle();
+      deck.shuffle(this.#random);
       this.decks = [deck];
+      if (deck.cards.length > 0) {
+        this.#reshuffled = true;
+        this.eventManager.fireEvent(DeckReshuffleEvent.fire(deck, deck.cards.length));
+      }
     }
     return deck;
   }
@@ -393,6 +1481,6 @@ module.exports = class Game {
    */
   #getRandomFromArr(arr) {
     if (!Array.isArray(arr) || arr.length === 0) return null;
-    return arr[Math.floor(Math.random() * arr.length)];
+    return arr[Math.floor(this.#random() * arr.length)];
   }
 };
@@ -0,0 +1,190 @@
+// src/logic/Match.js
+
+const Config = require('../Config');
+const { GameStateError, InvalidArgumentError, InvalidSaveError } = require('../errors');
+const GameEndEvent = require('../events/GameEndEvent');
+const Deck = require('./cards/Deck');
+const Game = require('./Game');
+const Random = require('./Random');
+const Player = require('./players/Player');
+
+/**
+ * A series of games (rounds) between the same players with cumulative scores.
+ */
+module.exports = class Match {
+  /**
+   * @param {string[] | Player[]} players
+   * @param {Config} config used for every round
+   */
+  constructor(players = [], config = new Config()) {
+    if (!Array.isArray(players)) throw new InvalidArgumentError("Players must be an array");
+    if (!(config instanceof Config)) throw new InvalidArgumentError("Config must be an instance of Config");
+
+    this.config = config;
+    this.initPlayers = players;
+
+    /** @type {Player[]} */
+    this.players = [];
+
+    /** @type {Object<number, number>} cumulative score per Player.id */
+    this.scores = {};
+
+    /** @type {{ winner: number, points: Object<number, number> }[]} result of every finished round */
+    this.rounds = [];
+
+    /** @type {Game | null} the round being played */
+    this.game = null;
+
+    /** @type {"NOT_STARTED" | "PLAYING" | "FINISHED"} */
+    this.state = "NOT_STARTED";
+
+    /** @type {Player | null} */
+    this.winner = null;
+
+    /**
+     * Hands out the seed of every round so a seeded match is reproducible.
+     * null when a custom `config.random` function is used.
+     * @type {Random | null}
+     */
+    this.random = typeof config.random === "function" ? null : new Random(config.seed ?? undefined);
+  }
+
+  /**
+   * Creates the players and starts the first round.
+   * @returns {Game}
+   */
+  start() {
+    if (this.initPlayers.length < 2) throw new GameStateError("Not enough players", "NOT_ENOUGH_PLAYERS");
+    if (this.state !== "NOT_STARTED") throw new GameStateError("Match already started", "MATCH_ALREADY_STARTED");
+
+    const PlayerClass = this.config.override.classes.Player || Player;
+    this.players = this.initPlayers.map((p, i) => (typeof p === "string" ? new PlayerClass(p, i) : p));
+    for (const player of this.players) this.scores[player.id] = 0;
+
+    this.state = "PLAYING";
+    return this.nextRound();
+  }
+
+  /**
+   * Starts a new round once the previous one is finished.
+   * @returns {Game}
+   */
+  nextRound() {
+    if (this.state !== "PLAYING") throw new GameStateError("Match is not running", "MATCH_NOT_RUNNING");
+    if (this.game && this.game.state !== "FINISHED") throw new GameStateError("Round not finished", "ROUND_NOT_FINISHED");
+
+    for (const player of this.players) {
+      player.hand = new Deck();
+      player.saidUno = false;
+    }
+
+    this.game = new Game(this.players, this.config);
+    if (this.random) this.game.random = new Random(this.random.nextInt(4294967296));
+    this.#watch(this.game);
+    this.game.start();
+    return this.game;
+  }
+
+  /**
+   * Scores the round when the game ends.
+   * @param {Game} game
+   */
+  #watch(game) {
+    game.eventManager.addEvent(new GameEndEvent(winner => this.#endRound(winner), true));
+  }
+
+  /**
+   * @param {Player} winner
+   */
+  #endRound(winner) {
+    /** @type {Object<number, number>} */
+    const points = {};
+
+    if (this.config.scoringMode === "LOWEST_WINS") {
+      for (const player of this.players) points[player.id] = player.hand.getPoints();
+    } else {
+      for (const player of this.players) points[player.id] = 0;
+      points[winner.id] = this.players.reduce((sum, p) => sum + p.hand.getPoints(), 0);
+    }
+
+    for (const id in points) this.scores[id] += points[id];
+    this.rounds.push({ winner: winner.id, points });
+
+    const reached = this.players.some(p => this.scores[p.id] >= this.config.targetScore);
+    if (!reached) return;
+
+    const standings = this.getStandings();
+    this.winner = standings[0].player;
+    this.state = "FINISHED";
+  }
+
+  /**
+   * Players ordered from best to worst for the configured scoring mode.
+   * @returns {{ player: Player, score: number }[]}
+   */
+  getStandings() {
+    const standings = this.players.map(player => ({ player, score: this.scores[player.id] }));
+    if (this.config.scoringMode === "LOWEST_WINS") {
+      return standings.sort((a, b) => a.score - b.score);
+    }
+    return standings.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Serialize match state to JSON
+   */
+  toJSON() {
+    return {
+      config: this.config.toJSON(),
+      initPlayers: this.initPlayers.map(p => (p instanceof Player ? p.toJSON() : p)),
+      players: this.players.map(p => p.toJSON()),
+      scores: this.scores,
+      rounds: this.rounds,
+      state: this.state,
+      winner: this.winner ? this.winner.id : null,
+      random: this.random ? this.random.toJSON() : null,
+      game: this.game ? this.game.toJSON() : null,
+    };
+  }
+
+  /**
+   * Reconstructs a Match instance from JSON
+   * @param {any} json
+   * @param {Config} [config] only override part and the custom random function are used,
+   * the other options are restored from the save
+   * @returns {Match}
+   */
+  static fromJSON(json, config) {
+    const invalidText = "Invalid JSON: {0}. You can only import a match that was exported or you did something wrong.";
+    if (!json) throw new InvalidSaveError(invalidText.replace("{0}", "No JSON provided"));
+    if (!json.initPlayers) throw new InvalidSaveError(invalidText.replace("{0}", "No initPlayers"));
+    if (!json.players) throw new InvalidSaveError(invalidText.replace("{0}", "No players"));
+    if (!json.scores) throw new InvalidSaveError(invalidText.replace("{0}", "No scores"));
+    if (!json.config) throw new InvalidSaveError(invalidText.replace("{0}", "No config"));
+
+    const custom = config instanceof Config ? config : new Config();
+    config = Config.fromJSON(json.config);
+    config.override = custom.override;
+    config.random = custom.random;
+
+    const match = new Match(json.initPlayers.map(p => (typeof p === "string" ? p : p.name)), config);
+    match.scores = { ...json.scores };
+    match.rounds = json.rounds || [];
+    match.state = json.state;
+    if (json.random) match.random = Random.fromJSON(json.random);
+
+    if (json.game) {
+      // the round shares its player instances with the match
+      match.game = Game.fromJSON(json.game, config);
+      match.players = match.game.players;
+      if (match.game.state !== "FINISHED") match.#watch(match.game);
+    } else {
+      const PlayerClass = config.override.classes.Player || Player;
+      match.players = json.players.map(playerJson => PlayerClass.fromJSON(playerJson));
+    }
+
+    match.winner = json.winner != null ? match.players.find(p => p.id === json.winner) : null;
+
+    return match;
+  }
+};
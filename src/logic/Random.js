@@ -0,0 +1,84 @@
+// src/logic/Random.js
+
+const { InvalidArgumentError } = require("../errors");
+
+/**
+ * Small seedable pseudo random number generator (mulberry32).
+ * The whole state is a single 32 bit integer so it can be saved and resumed.
+ */
+class Random {
+  /**
+   * @param {number | string} [seed] random seed if omitted
+   */
+  constructor(seed = Random.generateSeed()) {
+    /** @type {number} */
+    this.seed = Random.normalizeSeed(seed);
+    /** @type {number} */
+    this.state = this.seed;
+  }
+
+  /**
+   * Next number in [0, 1), usable as a drop-in for Math.random.
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next integer in [0, max).
+   * @param {number} max
+   * @returns {number}
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  toJSON() {
+    return {
+      seed: this.seed,
+      state: this.state,
+    };
+  }
+
+  /**
+   * @param {{ seed: number, state: number }} json
+   * @returns {Random}
+   */
+  static fromJSON(json) {
+    const random = new Random(json.seed);
+    random.state = json.state >>> 0;
+    return random;
+  }
+
+  /**
+   * Turns numbers and strings into a 32 bit unsigned seed.
+   * @param {number | string} seed
+   * @returns {number}
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+    if (typeof seed !== "string") throw new InvalidArgumentError("Seed must be a number or a string");
+
+    // FNV-1a hash of the string
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * @returns {number} a new random 32 bit seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+}
+
+module.exports = Random;
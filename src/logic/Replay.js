@@ -0,0 +1,198 @@
+// src/logic/Replay.js
+
+const Config = require('../Config');
+const { InvalidArgumentError, InvalidSaveError } = require('../errors');
+const actions = require('../constants/actions');
+const Color = require('./cards/Color');
+const Game = require('./Game');
+const ReplayFormat = require('./ReplayFormat');
+
+/**
+ * Plays a replay written by Game#toReplay back. The game is dealt again from
+ * the seed and the recorded actions are applied one by one, so every state
+ * in between can be looked at, e.g. to reproduce a reported bug.
+ */
+module.exports = class Replay {
+  /**
+   * @param {import('./ReplayFormat').ReplayJSON | string} json replay or its stringified form
+   * @param {Config} [config] only the override part is used, the other options come from the replay
+   */
+  constructor(json, config = new Config()) {
+    if (!(config instanceof Config)) throw new InvalidArgumentError("Config must be an instance of Config");
+    if (typeof json === "string") {
+      try {
+        json = JSON.parse(json);
+      } catch {
+        throw new InvalidSaveError("Replay is not parsable");
+      }
+    }
+
+    /** @type {import('./ReplayFormat').ReplayJSON} */
+    this.replay = ReplayFormat.validate(json);
+    this.override = config.override;
+
+    /** Number of actions applied to `game` */
+    this.position = 0;
+
+    /**
+     * The game at `position`. It is a new instance after going back.
+     * @type {Game}
+     */
+    this.game = this.#createGame();
+  }
+
+  /** Number of recorded actions */
+  get length() {
+    return this.replay.actions.length;
+  }
+
+  /**
+   * Applies the next action.
+   * @returns {boolean} false at the end of the replay
+   */
+  step() {
+    if (this.position >= this.length) return false;
+
+    const recorded = this.replay.actions[this.position];
+    const action = ReplayFormat.decodeAction(recorded);
+    const game = this.game;
+    const player = game.players[action.player];
+    if (!player) throw this.#diverged(`there is no player ${action.player}`);
+
+    // bots draw from the generator between actions
+    if (action.random !== null) game.random.state = action.random;
+    const done = game.history().length;
+
+    switch (action.type) {
+      case actions.PLAY:
+      case actions.JUMP_IN: {
+        const card = player.hand.cards[action.cardIndex];
+        if (!card) throw this.#diverged(`${player.name} has no card ${action.cardIndex}`);
+        if (action.color) card.wildPickedColor = new Color(action.color, game.config.variant);
+        const target = action.target !== null ? game.players[action.target] : null;
+        if (action.type === actions.JUMP_IN) game.jumpIn(player, card, game.turn, target);
+        else game.play(player, card, target);
+        break;
+      }
+
+      case actions.DRAW: {
+        const { isNext, silent, nextSilent, force } = action.options ?? {};
+        game.draw(player, action.cards, isNext, silent, nextSilent, force);
+        break;
+      }
+
+      case actions.PASS:
+        game.pass(player);
+        break;
+
+      case actions.CALL_UNO:
+        game.callUno(player);
+        break;
+
+      case actions.CATCH_UNO:
+        game.catchUno(player, game.players[action.target]);
+        break;
+
+      case actions.CHALLENGE:
+        game.challenge(player);
+        break;
+
+      case actions.ACCEPT:
+        game.accept(player);
+        break;
+    }
+
+    // the action has to be recorded exactly like in the original game
+    const history = game.history();
+    if (history.length !== done + 1) {
+      throw this.#diverged(game.lastRejection ? `rejected with ${game.lastRejection.code}` : "not recorded");
+    }
+    if (JSON.stringify(ReplayFormat.encodeAction(history[done])) !== JSON.stringify(recorded)) {
+      throw this.#diverged(`recorded as ${JSON.stringify(ReplayFormat.encodeAction(history[done]))}`);
+    }
+
+    this.position++;
+    return true;
+  }
+
+  /**
+   * Goes back one action. The game is replayed from the start for that.
+   * @returns {boolean} false at the start of the replay
+   */
+  back() {
+    if (this.position === 0) return false;
+    this.seek(this.position - 1);
+    return true;
+  }
+
+  /**
+   * Goes to the state after `position` actions.
+   * @param {number} position 0 for the dealt game, `length` for the end
+   */
+  seek(position) {
+    if (!Number.isInteger(position) || position < 0 || position > this.length) {
+      throw new InvalidArgumentError(`Position must be an integer from 0 to ${this.length}`);
+    }
+    if (position < this.position) this.#reset();
+    while (this.position < position) this.step();
+  }
+
+  /**
+   * Goes to the first action of turn `turn`, or the end if the game did not get that far.
+   * @param {number} turn
+   * @returns {boolean} whether the turn was reached
+   */
+  seekTurn(turn) {
+    if (!Number.isInteger(turn)) throw new InvalidArgumentError("Turn must be an integer");
+    if (this.game.turn >= turn) this.#reset();
+    while (this.game.turn < turn && this.step());
+    return this.game.turn >= turn;
+  }
+
+  /**
+   * Plays the replay to the end and compares the game with the recorded outcome.
+   * @returns {{ matches: boolean, expected: import('./ReplayFormat').ReplayOutcome, actual: import('./ReplayFormat').ReplayOutcome }}
+   */
+  verify() {
+    this.seek(this.length);
+    const expected = this.replay.outcome;
+    const actual = ReplayFormat.outcome(this.game);
+    return { matches: JSON.stringify(actual) === JSON.stringify(expected), expected, actual };
+  }
+
+  /** Dealt game at position 0 */
+  #reset() {
+    this.game = this.#createGame();
+    this.position = 0;
+  }
+
+  #createGame() {
+    const config = Config.fromJSON(this.replay.config).setSeed(this.replay.seed).setUndoLimit(0);
+    config.override = this.override;
+    const game = new Game(this.replay.players, config);
+    game.start();
+    return game;
+  }
+
+  /**
+   * @param {string} reason
+   * @returns {InvalidSaveError}
+   */
+  #diverged(reason) {
+    const type = this.replay.actions[this.position][0];
+    return new InvalidSaveError(`Replay diverged at action ${this.position} (${type}): ${reason}`, "REPLAY_DIVERGED");
+  }
+
+  toJSON() {
+    return this.replay;
+  }
+
+  /**
+   * @param {import('./ReplayFormat').ReplayJSON | string} json
+   * @param {Config} [config]
+   * @returns {Replay}
+   */
+  static fromJSON(json, config) {
+    return new Replay(json, config);
+  }
+};
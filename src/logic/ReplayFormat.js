@@ -0,0 +1,161 @@
+// src/logic/ReplayFormat.js
+
+const actions = require("../constants/actions");
+const { InvalidSaveError } = require("../errors");
+
+/**
+ * Version of the replays written by Game#toReplay. Unlike saves there are
+ * no migrations, replays of other versions can not be played.
+ */
+const REPLAY_VERSION = 1;
+
+/**
+ * @typedef {[type: string, player: number, random: number, ...args: any[]]} ReplayAction
+ * action in the order of the game: type, player index, state of the seeded
+ * generator before the action, then depending on the type
+ * - PLAY, JUMP_IN: index of the card in the hand, picked color, target
+ * - DRAW: amount, then isNext, silent, nextSilent, force for draws outside of the turn
+ * - CATCH_UNO: target
+ * Trailing nulls are left out.
+ */
+
+/**
+ * @typedef {{
+ *   state: string,
+ *   turn: number,
+ *   winner: number | null,
+ *   finishOrder: number[],
+ *   handSizes: number[],
+ *   topCard: string | null,
+ * }} ReplayOutcome summary of the game after the last action, see Replay#verify
+ */
+
+/**
+ * @typedef {{
+ *   replayVersion: number,
+ *   seed: number,
+ *   config: object,
+ *   players: string[],
+ *   actions: ReplayAction[],
+ *   outcome: ReplayOutcome,
+ * }} ReplayJSON
+ */
+
+/**
+ * @param {import("./Game").HistoryEntry} entry
+ * @returns {ReplayAction}
+ */
+function encodeAction(entry) {
+  let args = [];
+  switch (entry.type) {
+    case actions.PLAY:
+    case actions.JUMP_IN:
+      args = [entry.cardIndex, entry.color ?? null, entry.target ?? null];
+      break;
+    case actions.DRAW: {
+      const options = entry.options;
+      args = options
+        ? [entry.cards, options.isNext, options.silent, options.nextSilent, options.force]
+        : [entry.cards];
+      break;
+    }
+    case actions.CATCH_UNO:
+      args = [entry.target];
+      break;
+  }
+  while (args.length > 0 && args[args.length - 1] === null) args.pop();
+  return [entry.type, entry.player, entry.random, ...args];
+}
+
+/**
+ * Reads an action back into the fields of a HistoryEntry.
+ * @param {ReplayAction} action
+ * @returns {{
+ *   type: string, player: number, random: number,
+ *   cardIndex?: number, color?: string | null, target?: number | null,
+ *   cards?: number, options?: { isNext: boolean, silent: boolean, nextSilent: boolean, force: boolean },
+ * }}
+ */
+function decodeAction(action) {
+  if (!Array.isArray(action) || !Object.values(actions).includes(action[0])) {
+    throw new InvalidSaveError(`Invalid replay action: ${JSON.stringify(action)}`);
+  }
+  const [type, player, random, ...args] = action;
+  switch (type) {
+    case actions.PLAY:
+    case actions.JUMP_IN:
+      return { type, player, random, cardIndex: args[0], color: args[1] ?? null, target: args[2] ?? null };
+    case actions.DRAW: {
+      const [cards, isNext, silent, nextSilent, force] = args;
+      return {
+        type, player, random, cards,
+        ...(args.length > 1 ? { options: { isNext, silent, nextSilent, force } } : {}),
+      };
+    }
+    case actions.CATCH_UNO:
+      return { type, player, random, target: args[0] };
+    default:
+      return { type, player, random };
+  }
+}
+
+/**
+ * @param {import("./Game")} game
+ * @returns {ReplayOutcome}
+ */
+function outcome(game) {
+  const index = player => (player ? game.players.indexOf(player) : null);
+  const topCard = game.discardedCards.getTopCard();
+  return {
+    state: game.state,
+    turn: game.turn,
+    winner: index(game.winner),
+    finishOrder: game.finishOrder.map(index),
+    handSizes: game.players.map(p => p.hand.cards.length),
+    topCard: topCard ? topCard.toString() : null,
+  };
+}
+
+/**
+ * Builds the replay of a started game with the seeded generator.
+ * @param {import("./Game")} game
+ * @returns {ReplayJSON}
+ */
+function create(game) {
+  return {
+    replayVersion: REPLAY_VERSION,
+    seed: game.random.seed,
+    config: game.config.toJSON(),
+    players: game.players.map(p => p.name),
+    actions: game.history().map(encodeAction),
+    outcome: outcome(game),
+  };
+}
+
+/**
+ * Checks that a replay can be played.
+ * @param {any} json
+ * @returns {ReplayJSON}
+ */
+function validate(json) {
+  if (!json || typeof json !== "object") throw new InvalidSaveError("Replay is missing");
+  if (json.replayVersion !== REPLAY_VERSION) {
+    throw new InvalidSaveError(`Replay format ${json.replayVersion} is not supported, only format ${REPLAY_VERSION}`);
+  }
+  for (const key of ["seed", "config", "players", "actions", "outcome"]) {
+    if (json[key] === undefined) throw new InvalidSaveError(`Replay ${key} is missing`);
+  }
+  if (!Array.isArray(json.players) || !Array.isArray(json.actions)) {
+    throw new InvalidSaveError("Replay players and actions must be arrays");
+  }
+  return json;
+}
+
+module.exports = {
+  REPLAY_VERSION,
+  encodeAction,
+  decodeAction,
+  outcome,
+  create,
+  validate,
+};
@@ -0,0 +1,143 @@
+// src/logic/RuleContext.js
+
+const PlayerSkipEvent = require('../events/PlayerSkipEvent');
+const StackDrawEvent = require('../events/StackDrawEvent');
+const { InvalidArgumentError } = require('../errors');
+
+/** States a rule may put the game into, FINISHED is only reached by going out */
+const RULE_STATES = Object.freeze(["PLAYING", "STACK_DRAW", "CONTEST"]);
+
+/**
+ * What a rule may do to the game, handed to the handler of the played
+ * card's value, see Rules. The game can be read through `game`, changes
+ * should go through the methods so events are fired and states stay valid.
+ */
+class RuleContext {
+  /** @type {() => void} */
+  #openContest;
+
+  /** @type {() => number} */
+  #random;
+
+  /**
+   * @param {import('./Game')} game
+   * @param {import('./players/Player')} player the player who played the card
+   * @param {import('./cards/Card')} card the played card, it is already on the discard pile
+   * @param {{ openContest: () => void, random: () => number }} internals parts of the game that are not public
+   */
+  constructor(game, player, card, internals) {
+    this.game = game;
+    this.player = player;
+    this.card = card;
+    this.#openContest = internals.openContest;
+    this.#random = internals.random;
+  }
+
+  /**
+   * @returns {import('./players/Player')} the player after the current one in the direction of play
+   */
+  nextPlayer() {
+    return this.game.getNextPlayer();
+  }
+
+  /**
+   * Moves the turn on without starting it. The turn passes once more after
+   * the rule, so advancing once means the next player loses their turn.
+   */
+  advanceTurn() {
+    this.game.setNextPlayer(true);
+  }
+
+  /**
+   * Skips the next player and fires a PlayerSkipEvent
+   */
+  skip() {
+    this.advanceTurn();
+    this.fireEvent(PlayerSkipEvent.fire(this.game.currentPlayer, this.player));
+  }
+
+  /**
+   * Makes a player draw outside of their turn, the turn does not move on.
+   * @param {import('./players/Player')} player
+   * @param {number} amount
+   * @returns {boolean} false if the cards ran out
+   */
+  forceDraw(player, amount) {
+    return this.game.draw(player, amount, false, false, true, true);
+  }
+
+  /**
+   * Reverses the direction of play
+   */
+  flipDirection() {
+    this.game.flipDirection();
+  }
+
+  /**
+   * Adds cards to the pile the next player has to draw or stack on, see Config.stackCards
+   * @param {number} amount
+   */
+  stack(amount) {
+    this.game.stackDrawAmount += amount;
+    this.setState("STACK_DRAW");
+    this.fireEvent(StackDrawEvent.fire(this.player, this.card, this.game.stackDrawAmount));
+  }
+
+  /**
+   * Lets the next player challenge the card before drawing, see Game#challenge
+   */
+  openContest() {
+    this.#openContest();
+  }
+
+  /**
+   * Replaces the hands of the players: the cards are shuffled with the
+   * generator of the game and dealt one by one, starting after the player of
+   * the card. The players lose their UNO calls and nobody can be caught.
+   * @param {import('./players/Player')[]} players
+   * @param {import('./cards/Card')[]} cards
+   */
+  dealHands(players, cards) {
+    const { game } = this;
+    const deck = new game.classes.Deck();
+    deck.cards = cards.slice();
+    deck.shuffle(this.#random);
+
+    for (const p of players) {
+      p.hand = new game.classes.Deck();
+      p.saidUno = false;
+    }
+    game.unoCatchable = null;
+
+    let receiver = this.player;
+    for (const card of deck.cards) {
+      do receiver = game.getNextPlayer(game.rotation, receiver);
+      while (!players.includes(receiver));
+      receiver.hand.addCard(card);
+    }
+  }
+
+  /**
+   * Turns every card of the game over, see Game#flip
+   */
+  flip() {
+    this.game.flip(this.player, this.card);
+  }
+
+  /**
+   * @param {"PLAYING" | "STACK_DRAW" | "CONTEST"} state
+   */
+  setState(state) {
+    if (!RULE_STATES.includes(state)) throw new InvalidArgumentError(`State must be one of ${RULE_STATES.join(", ")}`);
+    this.game.state = state;
+  }
+
+  /**
+   * @param {import('../events/FireEvent')} event
+   */
+  fireEvent(event) {
+    this.game.eventManager.fireEvent(event);
+  }
+}
+
+module.exports = RuleContext;
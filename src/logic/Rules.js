@@ -0,0 +1,85 @@
+// src/logic/Rules.js
+
+const values = require('../constants/values');
+const { InvalidArgumentError } = require('../errors');
+const Value = require('./cards/Value');
+
+/**
+ * Effect of a played card. Called after the card went on the discard pile,
+ * the turn passes to the next player afterwards.
+ * @callback RuleHandler
+ * @param {import('./RuleContext')} rules what the handler may do to the game
+ * @param {import('./players/Player')} player the player who played the card
+ * @param {import('./cards/Card')} card the played card
+ * @returns {void}
+ */
+
+/**
+ * Registry of the card effects by value. Single games can replace a rule
+ * with `config.override.rules`, values without a rule have no effect.
+ */
+class Rules {
+  /**
+   * Rules by value, filled by Rules.register
+   * @type {Object<string, RuleHandler>}
+   */
+  static handlers = {};
+
+  /**
+   * Sets the rule of a value for all games. Values outside of the standard
+   * deck have to be registered first, see Value.register.
+   * @param {string} value
+   * @param {RuleHandler} handler
+   */
+  static register(value, handler) {
+    // throws for values that are neither standard nor registered
+    Value.fromJSON(value, Value.types[value]?.variant ?? null);
+    if (typeof handler !== "function") throw new InvalidArgumentError("Rule handler must be a function");
+    Rules.handlers[value] = handler;
+  }
+
+  /**
+   * The rule of a value: the registered one, else the effect the value was
+   * registered with
+   * @param {string} value
+   * @returns {RuleHandler | null}
+   */
+  static get(value) {
+    return Rules.handlers[value] ?? Value.types[value]?.effect ?? null;
+  }
+}
+
+Rules.register(values.REVERSE, rules => {
+  rules.flipDirection();
+  // with two players a Reverse acts like a Skip, on a pile it only passes it back, see Config.stacking
+  if (rules.game.players.length === 2 && rules.game.state !== "STACK_DRAW") rules.skip();
+});
+
+Rules.register(values.SKIP, rules => {
+  // a Skip on a pile passes it on to the next player
+  if (rules.game.state !== "STACK_DRAW") rules.skip();
+});
+
+/**
+ * Rule of the draw cards: the next player draws and loses their turn
+ * @param {number} amount
+ * @returns {RuleHandler}
+ */
+const drawRule = amount => (rules, player) => {
+  const { config } = rules.game;
+  if (config.stackCards) {
+    // the next player decides whether to stack on the pile or draw it
+    rules.stack(amount);
+  } else if (amount === 4 && config.challengeWildDrawFour && player.hand.cards.length > 0) {
+    // the draw is deferred until the next player challenges or accepts
+    rules.openContest();
+  } else {
+    rules.forceDraw(rules.nextPlayer(), amount);
+    rules.advanceTurn();
+  }
+};
+
+Rules.register(values.DRAW_TWO, drawRule(2));
+Rules.register(values.WILD_DRAW_FOUR, drawRule(4));
+
+module.exports = Rules;
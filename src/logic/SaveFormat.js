@@ -0,0 +1,85 @@
+// src/logic/SaveFormat.js
+
+const { InvalidArgumentError, InvalidSaveError } = require("../errors");
+
+/**
+ * Version of the JSON written by Game#toJSON. Bump it whenever the shape
+ * changes and register a migration from the previous version.
+ */
+const FORMAT_VERSION = 2;
+
+/**
+ * Migrations keyed by the version they upgrade from. Each one receives the
+ * save of that version and returns the save of the next version.
+ * @type {Object<number, (json: any) => any>}
+ */
+const migrations = {
+  // Unversioned saves stored the current player as a whole player object
+  0: (json) => {
+    let currentPlayer = json.currentPlayer ?? null;
+    if (currentPlayer !== null && typeof currentPlayer === "object") {
+      currentPlayer = (json.players || []).findIndex(p =>
+        p.id === currentPlayer.id && p.name === currentPlayer.name
+      );
+      if (currentPlayer === -1) currentPlayer = null;
+    }
+
+    return {
+      ...json,
+      formatVersion: 1,
+      currentPlayer,
+      stackDrawAmount: json.stackDrawAmount ?? 0,
+    };
+  },
+
+  // Saves before the turn counter, the draw rules, UNO Flip and the action history
+  1: (json) => ({
+    ...json,
+    formatVersion: 2,
+    // the number of turns played was not saved, a started game goes on from the first
+    turn: json.state === "NOT_STARTED" ? 0 : 1,
+    drawnCard: null,
+    side: "LIGHT",
+    history: { done: [], undone: [] },
+  }),
+};
+
+/**
+ * Registers a migration, e.g. for saves written by a modified engine.
+ * @param {number} fromVersion
+ * @param {(json: any) => any} migration
+ */
+function addMigration(fromVersion, migration) {
+  if (typeof migration !== "function") throw new InvalidArgumentError("Migration must be a function");
+  migrations[fromVersion] = migration;
+}
+
+/**
+ * Upgrades a save to the current format version.
+ * @param {any} json
+ * @returns {any}
+ */
+function migrate(json) {
+  let version = json.formatVersion ?? 0;
+  if (version > FORMAT_VERSION) {
+    throw new InvalidSaveError(`Save format ${version} is newer than the supported format ${FORMAT_VERSION}`);
+  }
+
+  while (version < FORMAT_VERSION) {
+    const migration = migrations[version];
+    if (!migration) throw new InvalidSaveError(`No migration from save format ${version}`);
+    json = migration(json);
+    if (!(json.formatVersion > version)) {
+      throw new InvalidSaveError(`Migration from save format ${version} did not raise formatVersion`);
+    }
+    version = json.formatVersion;
+  }
+  return json;
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  migrations,
+  addMigration,
+  migrate,
+};
@@ -0,0 +1,220 @@
+// src/logic/Simulator.js
+
+const Config = require('../Config');
+const { InvalidArgumentError } = require('../errors');
+const DeckReshuffleEvent = require('../events/DeckReshuffleEvent');
+const PlayerDrawEvent = require('../events/PlayerDrawEvent');
+const StackDrawEvent = require('../events/StackDrawEvent');
+const Game = require('./Game');
+const Random = require('./Random');
+const BotPlayer = require('./players/BotPlayer');
+require('./players/RandomBot');
+require('./players/GreedyBot');
+require('./players/DefensiveBot');
+
+/**
+ * @typedef {{ name: string, config: Config }} Variant
+ *
+ * @typedef {{
+ *   seat?: number, strategy?: string, games: number, wins: number, winRate: number
+ * }} WinStats
+ *
+ * @typedef {{
+ *   name: string,
+ *   config: object,
+ *   games: number,
+ *   finished: number,
+ *   averageTurns: number,
+ *   averageCardsDrawn: number,
+ *   averageReshuffles: number,
+ *   stacks: { count: number, averageSize: number, maxSize: number },
+ *   seats: WinStats[],
+ *   strategies: WinStats[],
+ * }} VariantReport
+ */
+
+/**
+ * Plays seeded games between bots without any output and collects statistics,
+ * e.g. to compare house rules.
+ */
+module.exports = class Simulator {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.games=100] games per variant
+   * @param {string[]} [options.strategies] strategy of every seat, see BotPlayer.strategies
+   * @param {(Config | Variant)[]} [options.variants] rule sets to compare
+   * @param {number | string} [options.seed] random if omitted
+   * @param {boolean} [options.rotateSeats=true] move the strategies one seat further every game
+   * @param {number} [options.maxActions=10000] bot actions before a game is given up
+   */
+  constructor(options = {}) {
+    this.games = options.games ?? 100;
+    this.strategies = options.strategies ?? ["greedy", "random"];
+    this.seed = options.seed ?? Random.generateSeed();
+    this.rotateSeats = options.rotateSeats ?? true;
+    this.maxActions = options.maxActions ?? 10000;
+
+    /** @type {Variant[]} */
+    this.variants = (options.variants ?? [new Config()]).map((v, i) =>
+      v instanceof Config ? { name: `variant ${i + 1}`, config: v } : v
+    );
+
+    if (!Number.isInteger(this.games) || this.games < 1) throw new InvalidArgumentError("Games must be an integer greater than 0");
+    if (this.strategies.length < 2) throw new InvalidArgumentError("Not enough players");
+    for (const strategy of this.strategies) {
+      if (!BotPlayer.strategies[strategy]) throw new InvalidArgumentError(`Unknown strategy: ${strategy}`);
+    }
+    for (const variant of this.variants) {
+      if (!(variant.config instanceof Config)) throw new InvalidArgumentError("Config must be an instance of Config");
+    }
+  }
+
+  /**
+   * Plays all games of every variant.
+   * @returns {{ seed: number | string, games: number, strategies: string[], variants: VariantReport[] }}
+   */
+  run() {
+    return {
+      seed: this.seed,
+      games: this.games,
+      strategies: this.strategies,
+      variants: this.variants.map(variant => this.#runVariant(variant)),
+    };
+  }
+
+  /**
+   * Every variant plays the same seeds, so the deals only differ by the rules.
+   * @param {Variant} variant
+   * @returns {VariantReport}
+   */
+  #runVariant(variant) {
+    const random = new Random(this.seed);
+    const seats = this.strategies.map((_, seat) => ({ seat, games: 0, wins: 0 }));
+    const strategies = {};
+    for (const strategy of this.strategies) strategies[strategy] = { strategy, games: 0, wins: 0 };
+
+    let finished = 0;
+    let turns = 0;
+    let cardsDrawn = 0;
+    let reshuffles = 0;
+    const stacks = [];
+
+    for (let i = 0; i < this.games; i++) {
+      const shift = this.rotateSeats ? i % this.strategies.length : 0;
+      const lineup = this.strategies.map((_, seat) => this.strategies[(seat + shift) % this.strategies.length]);
+      const result = this.#playGame(variant.config, lineup, random.nextInt(4294967296));
+
+      turns += result.turns;
+      cardsDrawn += result.cardsDrawn;
+      reshuffles += result.reshuffles;
+      stacks.push(...result.stacks);
+
+      lineup.forEach((strategy, seat) => {
+        seats[seat].games++;
+        strategies[strategy].games++;
+      });
+      if (result.winner === null) continue;
+
+      finished++;
+      seats[result.winner].wins++;
+      strategies[lineup[result.winner]].wins++;
+    }
+
+    const withRate = stats => ({ ...stats, winRate: stats.games > 0 ? stats.wins / stats.games : 0 });
+
+    return {
+      name: variant.name,
+      config: variant.config.toJSON(),
+      games: this.games,
+      finished,
+      averageTurns: turns / this.games,
+      averageCardsDrawn: cardsDrawn / this.games,
+      averageReshuffles: reshuffles / this.games,
+      stacks: {
+        count: stacks.length,
+        averageSize: stacks.length > 0 ? stacks.reduce((a, b) => a + b, 0) / stacks.length : 0,
+        maxSize: stacks.length > 0 ? Math.max(...stacks) : 0,
+      },
+      seats: seats.map(withRate),
+      strategies: Object.values(strategies).map(withRate),
+    };
+  }
+
+  /**
+   * @param {Config} baseConfig
+   * @param {string[]} lineup strategy per seat
+   * @param {number} seed
+   * @returns {{ winner: number | null, turns: number, cardsDrawn: number, reshuffles: number, stacks: number[] }}
+   */
+  #playGame(baseConfig, lineup, seed) {
+    // listeners have to run before the next action to count correctly,
+    // nothing is undone so no snapshots are needed
+    const config = Config.fromJSON(baseConfig.toJSON()).setSeed(seed).setEventMode("sync").setUndoLimit(0);
+    config.override = baseConfig.override;
+
+    const players = lineup.map((strategy, seat) => new BotPlayer.strategies[strategy](`${strategy} ${seat + 1}`, seat));
+    const game = new Game(players, config);
+    game.start();
+
+    const result = { winner: null, turns: 0, cardsDrawn: 0, reshuffles: 0, stacks: [] };
+    // the pending draw pile: cards stacked on it and cards to draw
+    let pile = { stacked: 0, amount: 0 };
+
+    game.eventManager.addEvent(new PlayerDrawEvent((player, cards) => {
+      result.cardsDrawn += cards.length;
+      // only the draw that takes the pile ends it, not e.g. an UNO penalty meanwhile
+      if (pile.amount === 0 || game.stackDrawAmount > 0) return;
+      // a single card is no stack
+      if (pile.stacked > 1) result.stacks.push(pile.amount);
+      pile = { stacked: 0, amount: 0 };
+    }));
+    game.eventManager.addEvent(new StackDrawEvent((player, card, amount) => {
+      pile = { stacked: pile.stacked + 1, amount };
+    }));
+    game.eventManager.addEvent(new DeckReshuffleEvent(() => {
+      result.reshuffles++;
+    }));
+
+    for (let actions = 0; game.state !== "FINISHED" && actions < this.maxActions; actions++) {
+      game.currentPlayer.takeTurn(game);
+      if (!config.jumpIn) continue;
+      // the others get a chance to jump in, in seat order
+      for (const player of players) {
+        if (game.state !== "FINISHED" && player !== game.currentPlayer) player.takeTurn(game);
+      }
+    }
+
+    result.turns = game.turn;
+    if (game.state === "FINISHED") result.winner = players.indexOf(game.winner);
+    return result;
+  }
+
+  /**
+   * One row per variant, seat and strategy. Seats and strategies leave the
+   * columns of the variant totals empty.
+   * @param {ReturnType<Simulator["run"]>} report
+   * @returns {string}
+   */
+  static toCSV(report) {
+    const header = [
+      "variant", "type", "name", "games", "wins", "winRate", "finished", "averageTurns",
+      "averageCardsDrawn", "averageReshuffles", "stacks", "averageStackSize", "maxStackSize",
+    ];
+    const escape = value => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [header];
+    for (const v of report.variants) {
+      rows.push([
+        v.name, "variant", v.name, v.games, "", "", v.finished, v.averageTurns,
+        v.averageCardsDrawn, v.averageReshuffles, v.stacks.count, v.stacks.averageSize, v.stacks.maxSize,
+      ]);
+      for (const s of v.seats) rows.push([v.name, "seat", s.seat + 1, s.games, s.wins, s.winRate]);
+      for (const s of v.strategies) rows.push([v.name, "strategy", s.strategy, s.games, s.wins, s.winRate]);
+    }
+
+    return rows.map(row => [...row, ...Array(header.length - row.length).fill("")].map(escape).join(",")).join("\n") + "\n";
+  }
+};
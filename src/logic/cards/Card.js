@@ -28,19 +28,43 @@ class Card {
    * Checks if this card can be played on top of another card.
    * @param {Card} card - The card on the discard pile
    * @param {boolean} [toPlay=false] - If true, do not allow wild card without chosen color
-   * @param {boolean} [isStacking=false] - If true, check stacking rules for special cards
+   * @param {boolean | import("../../Config").StackingPolicy} [isStacking=false] - If set, the card
+   * is played on a draw pile and has to follow the stacking policy. true only allows the same value.
    * @returns {boolean} - Whether the card can be played
    */
   isValidOn(card, toPlay = false, isStacking = false) {
     if (!card) return false;
 
     if (isStacking) {
-      if ([values.DRAW_TWO, values.WILD_DRAW_FOUR].includes(this.value.value)) {
-        return card.value.value === this.value.value;
+      const policy = isStacking === true ? { sameValue: true } : isStacking;
+      switch (this.value.value) {
+        case values.DRAW_TWO:
+        case values.WILD_DRAW_FOUR:
+          if (card.value.value === this.value.value) return Boolean(policy.sameValue);
+          if (card.value.value === values.WILD_DRAW_FOUR) {
+            return Boolean(policy.drawTwoOnDrawFour) && this.color.color === card.color.color;
+          }
+          if (card.value.value === values.DRAW_TWO) {
+            return Boolean(policy.drawFourOnDrawTwo) && this.isValidOn(card, toPlay);
+          }
+          // the pile was passed on by a Reverse or Skip
+          return this.isValidOn(card, toPlay);
+
+        case values.REVERSE:
+          return Boolean(policy.reverse) && this.isValidOn(card, toPlay);
+
+        case values.SKIP:
+          return Boolean(policy.skip) && this.isValidOn(card, toPlay);
+
+        default:
+          return false;
       }
-      return false;
     }
 
+    // registered values may bring their own rules, see Value.register
+    const type = Value.types[this.value.value];
+    if (type?.isValidOn) return type.isValidOn(this, card, toPlay);
+
     // Wild cards cannot be played on wild cards
     if (this.wild && card.wild) return false;
 
@@ -56,6 +80,36 @@ class Card {
     return this.color.color === card.color.color || this.value.value === card.value.value;
   }
 
+  /**
+   * Whether both cards have the same color and value, e.g. to jump in.
+   * @param {Card} card
+   * @returns {boolean}
+   */
+  equals(card) {
+    return card instanceof Card
+      && this.wild === card.wild
+      && this.color.color === card.color.color
+      && this.value.value === card.value.value;
+  }
+
+  /**
+   * Turns a played wild card back into an unpicked one, e.g. when the
+   * discard pile is shuffled into a new deck.
+   */
+  resetWild() {
+    if (!this.wild) return;
+    this.color = new Color(colors.BLACK);
+    this.wildPickedColor = new Color(colors.BLACK);
+  }
+
+  /**
+   * Points this card is worth when left in a hand at the end of a round.
+   * @returns {number}
+   */
+  getPoints() {
+    return this.value.getPoints();
+  }
+
   toString() {
     return `${this.color} ${this.value}`;
   }
@@ -85,15 +139,23 @@ class Card {
     };
   }
 
-  static fromJSON(json) {
+  /**
+   * @param {any} json
+   * @param {string | null} [variant=null] variant of the game, see Color.register
+   * @returns {Card}
+   */
+  static fromJSON(json, variant = null) {
+    // double-sided cards of UNO Flip, required here to avoid a cycle
+    if (json.light) return require("./FlipCard").fromJSON(json);
+
     const card = new Card(
-      Color.fromJSON(json.color),
-      Value.fromJSON(json.value),
+      Color.fromJSON(json.color, variant),
+      Value.fromJSON(json.value, variant),
       json.wild
     );
 
     if (json.wildPickedColor) {
-      card.wildPickedColor = Color.fromJSON(json.wildPickedColor);
+      card.wildPickedColor = Color.fromJSON(json.wildPickedColor, variant);
     }
 
     return card;
@@ -1,26 +1,52 @@
 // src/logic/cards/Color.js
 
 const COLORS = require("../../constants/colors");
+const { InvalidArgumentError, InvalidCardError } = require("../../errors");
 
 class Color {
+  /**
+   * Colors added with Color.register
+   * @type {Set<string>}
+   */
+  static custom = new Set();
+
+  /**
+   * Colors added with Color.register for a single variant
+   * @type {Object<string, Set<string>>}
+   */
+  static variants = {};
+
+  /**
+   * Adds a color that can be used in deck recipes (Config.deck), e.g. a 5th color.
+   * @param {string} color
+   * @param {string | null} [variant=null] only valid for cards of this variant, see Config.variant
+   */
+  static register(color, variant = null) {
+    if (typeof color !== "string" || color === "") throw new InvalidArgumentError("Color must be a non-empty string");
+    if (variant === null) Color.custom.add(color);
+    else (Color.variants[variant] ??= new Set()).add(color);
+  }
+
   /**
    * @param {string} color
+   * @param {string | null} [variant=null] variant of the game the card belongs to
    */
-  constructor(color) {
-    if (this.isValid(color)) {
+  constructor(color, variant = null) {
+    if (this.isValid(color, variant)) {
       this.color = color;
     } else {
-      throw new Error(`Invalid color: ${color}`);
+      throw new InvalidCardError(`Invalid color: ${color}`);
     }
   }
 
   /**
-   * Validate if the color exists in constants
+   * Validate if the color exists in constants or was registered
    * @param {string} [color=this.color]
+   * @param {string | null} [variant=null] also accept the colors of this variant
    * @returns {boolean}
    */
-  isValid(color = this.color) {
-    return COLORS.hasOwnProperty(color);
+  isValid(color = this.color, variant = null) {
+    return COLORS.hasOwnProperty(color) || Color.custom.has(color) || Boolean(Color.variants[variant]?.has(color));
   }
 
   /**
@@ -42,10 +68,11 @@ class Color {
   /**
    * Create a Color instance from JSON/string
    * @param {string} json
+   * @param {string | null} [variant=null]
    * @returns {Color}
    */
-  static fromJSON(json) {
-    return new Color(json);
+  static fromJSON(json, variant = null) {
+    return new Color(json, variant);
   }
 }
 
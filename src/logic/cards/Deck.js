@@ -3,7 +3,10 @@
 const Card = require("./Card");
 const cardCounts = require("../../constants/cardCounts");
 const colors = require("../../constants/colors");
+const { InvalidArgumentError } = require("../../errors");
 const Color = require("./Color");
+const FlipCard = require("./FlipCard");
+const flipValues = require("./flipValues");
 const Value = require("./Value");
 
 class Deck {
@@ -62,15 +65,25 @@ class Deck {
     }, {});
   }
 
+  /**
+   * Sum of the points of all cards in the deck.
+   * @returns {number}
+   */
+  getPoints() {
+    return this.cards.reduce((sum, card) => sum + card.getPoints(), 0);
+  }
+
   /**
    * Remove a specific card from the deck.
    * @param {Card} card
    * @returns {boolean} - True if removed, false otherwise.
    */
   removeCard(card) {
-    const index = this.cards.findIndex(
-      c => c === card || (c.color.color === card.color.color && c.value.value === card.value.value)
-    );
+    // the instance itself first, Flip cards with the same face differ on the back
+    let index = this.cards.indexOf(card);
+    if (index === -1) {
+      index = this.cards.findIndex(c => c.color.color === card.color.color && c.value.value === card.value.value);
+    }
     if (index === -1) return false;
     this.cards.splice(index, 1);
     return true;
@@ -86,29 +99,73 @@ class Deck {
 
   /**
    * Populate the deck with the default set of cards.
+   * @param {() => number} [random=Math.random] - Random function used to shuffle.
    * @returns {Deck}
    */
-  insertDefaultCards() {
-    this.cards = [];
-    for (const color in cardCounts) {
-      for (const value in cardCounts[color]) {
-        const count = cardCounts[color][value];
+  insertDefaultCards(random = Math.random) {
+    return this.insertCards(cardCounts, random);
+  }
+
+  /**
+   * Populate the deck from a recipe, see Config.deck.
+   * @param {Object<string, Object<string, number>>} recipe - Count of every value per color.
+   * @param {() => number} [random=Math.random] - Random function used to shuffle.
+   * @returns {Deck}
+   */
+  insertCards(recipe, random = Math.random) {
+    this.cards = Deck.#recipeCards(recipe);
+    this.shuffle(random);
+    return this;
+  }
+
+  /**
+   * Populate the deck with the double-sided cards of UNO Flip, light side up.
+   * Every light face gets a random dark face.
+   * @param {() => number} [random=Math.random] - Random function used to shuffle.
+   * @returns {Deck}
+   */
+  insertFlipCards(random = Math.random) {
+    const dark = new Deck();
+    dark.cards = Deck.#recipeCards(flipValues.cardCounts.DARK, flipValues.variant);
+    dark.shuffle(random);
+
+    this.cards = Deck.#recipeCards(flipValues.cardCounts.LIGHT, flipValues.variant).map((light, i) =>
+      new FlipCard(light.toJSON(), dark.cards[i].toJSON())
+    );
+    this.shuffle(random);
+    return this;
+  }
+
+  /**
+   * Creates the cards of a recipe, see insertCards
+   * @param {Object<string, Object<string, number>>} recipe
+   * @param {string | null} [variant=null] variant whose colors and values are allowed, see Color.register
+   * @returns {Card[]}
+   */
+  static #recipeCards(recipe, variant = null) {
+    const cards = [];
+    for (const color in recipe) {
+      for (const value in recipe[color]) {
+        const count = recipe[color][value];
+        if (!Number.isInteger(count) || count < 0) {
+          throw new InvalidArgumentError(`Count of ${color} ${value} must be an integer >= 0`);
+        }
         for (let i = 0; i < count; i++) {
-          this.addCard(new Card(color, value, color === colors.BLACK));
+          cards.unshift(new Card(new Color(color, variant), new Value(value, variant), color === colors.BLACK));
         }
       }
     }
-    this.shuffle();
-    return this;
+    return cards;
   }
 
   /**
    * Shuffle the deck randomly.
+   * @param {() => number} [random=Math.random] - Function returning numbers in [0, 1).
    * @returns {Deck}
    */
-  shuffle() {
+  shuffle(random = Math.random) {
     for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
     }
     return this;
@@ -128,7 +185,7 @@ class Deck {
    * @returns {Deck}
    */
   static fromJSON(json) {
-    const deck = new Deck();
+    const deck = new this();
     deck.cards = json.map(Card.fromJSON);
     return deck;
   }
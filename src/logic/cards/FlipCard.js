@@ -0,0 +1,117 @@
+// src/logic/cards/FlipCard.js
+
+const Card = require("./Card");
+const Color = require("./Color");
+const Value = require("./Value");
+const { variant } = require("./flipValues");
+
+/**
+ * @typedef {{ color: string, value: string, wild?: boolean, wildPickedColor?: string | null }} Face
+ */
+
+/**
+ * Double-sided card of UNO Flip. The shown face is the card itself, the
+ * other one is kept in `back` until the card is flipped.
+ */
+class FlipCard extends Card {
+  /**
+   * @param {Face} light
+   * @param {Face} dark
+   * @param {"LIGHT" | "DARK"} [side="LIGHT"] the face that is shown
+   */
+  constructor(light, dark, side = "LIGHT") {
+    const [shown, hidden] = side === "DARK" ? [dark, light] : [light, dark];
+    super(new Color(shown.color, variant), new Value(shown.value, variant), shown.wild);
+    if (shown.wildPickedColor) this.wildPickedColor = new Color(shown.wildPickedColor, variant);
+
+    /** @type {"LIGHT" | "DARK"} */
+    this.side = side;
+
+    /** @type {Card} the face that is not shown */
+    this.back = FlipCard.#faceToCard(hidden);
+  }
+
+  /**
+   * Turns the card over
+   * @returns {FlipCard}
+   */
+  flip() {
+    const back = this.back;
+    this.back = FlipCard.#faceToCard(FlipCard.#cardToFace(this));
+
+    this.color = back.color;
+    this.value = back.value;
+    this.wild = back.wild;
+    this.wildPickedColor = back.wildPickedColor;
+    this.side = this.side === "LIGHT" ? "DARK" : "LIGHT";
+    return this;
+  }
+
+  /**
+   * Only cards showing the same side can be played on each other.
+   * @param {Card} card
+   * @param {boolean} [toPlay=false]
+   * @param {boolean | import("../../Config").StackingPolicy} [isStacking=false]
+   * @returns {boolean}
+   */
+  isValidOn(card, toPlay = false, isStacking = false) {
+    if (card instanceof FlipCard && card.side !== this.side) return false;
+    return super.isValidOn(card, toPlay, isStacking);
+  }
+
+  /**
+   * Resets both faces
+   */
+  resetWild() {
+    super.resetWild();
+    this.back.resetWild();
+  }
+
+  /**
+   * @returns {{ light: Face, dark: Face }}
+   */
+  getFaces() {
+    const shown = FlipCard.#cardToFace(this);
+    const hidden = FlipCard.#cardToFace(this.back);
+    return this.side === "LIGHT" ? { light: shown, dark: hidden } : { light: hidden, dark: shown };
+  }
+
+  toString() {
+    return `${super.toString()} (${this.side.toLowerCase()})`;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      side: this.side,
+      ...this.getFaces(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new FlipCard(json.light, json.dark, json.side);
+  }
+
+  /**
+   * @param {Card} card
+   * @returns {Face}
+   */
+  static #cardToFace(card) {
+    return {
+      color: card.color.toJSON(),
+      value: card.value.toJSON(),
+      wild: card.wild,
+      wildPickedColor: card.wildPickedColor?.toJSON() ?? null,
+    };
+  }
+
+  /**
+   * @param {Face} face
+   * @returns {Card}
+   */
+  static #faceToCard(face) {
+    return Card.fromJSON({ ...face, wild: face.wild ?? false }, variant);
+  }
+}
+
+module.exports = FlipCard;
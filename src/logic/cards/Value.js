@@ -1,26 +1,62 @@
 // src/logic/cards/Value.js
 
+const cardPoints = require('../../constants/cardPoints');
 const definitionConstants = require('../../constants/values');
+const { InvalidArgumentError, InvalidCardError } = require('../../errors');
+
+/**
+ * A value that is not part of the standard deck, see Value.register
+ * @typedef {{
+ *   points: number,
+ *   wild?: boolean,
+ *   isValidOn?: (card: import('./Card'), topCard: import('./Card'), toPlay: boolean) => boolean,
+ *   effect?: import('../Rules').RuleHandler,
+ *   variant?: string | null,
+ * }} ValueType `variant` limits the value to cards of that variant, see Config.variant
+ */
 
 class Value {
+  /**
+   * Registered values by name, filled by Value.register
+   * @type {Object<string, ValueType>}
+   */
+  static types = {};
+
+  /**
+   * Adds a value that can be used in deck recipes (Config.deck).
+   * `isValidOn` replaces the matching rules of cards with this value,
+   * `effect` is its rule unless another one is registered, see Rules.
+   * @param {string} name
+   * @param {ValueType} type
+   */
+  static register(name, type) {
+    if (typeof name !== "string" || name === "") throw new InvalidArgumentError("Value name must be a non-empty string");
+    if (name in definitionConstants) throw new InvalidArgumentError(`${name} is a standard value`);
+    if (!type || !Number.isFinite(type.points)) throw new InvalidArgumentError("Value type needs points");
+    Value.types[name] = { wild: false, variant: null, ...type };
+  }
+
   /**
    * @param {string} value
+   * @param {string | null} [variant=null] variant of the game the card belongs to
    */
-  constructor(value) {
-    if (this._isValid(value)) {
+  constructor(value, variant = null) {
+    if (this._isValid(value, variant)) {
       this.value = value;
     } else {
-      throw new Error(`Invalid value: ${value}`);
+      throw new InvalidCardError(`Invalid value: ${value}`);
     }
   }
 
   /**
    * Validate the given value.
    * @param {string} [value=this.value]
+   * @param {string | null} [variant=null] also accept the values of this variant
    * @returns {boolean}
    */
-  _isValid(value = this.value) {
-    return value in definitionConstants;
+  _isValid(value = this.value, variant = null) {
+    if (value in definitionConstants) return true;
+    return Object.hasOwn(Value.types, value) && [null, variant].includes(Value.types[value].variant);
   }
 
   /**
@@ -30,10 +66,19 @@ class Value {
   isWild() {
     return (
       this.value === definitionConstants.WILD ||
-      this.value === definitionConstants.WILD_DRAW_FOUR
+      this.value === definitionConstants.WILD_DRAW_FOUR ||
+      Boolean(Value.types[this.value]?.wild)
     );
   }
 
+  /**
+   * Points this value is worth when left in a hand at the end of a round.
+   * @returns {number}
+   */
+  getPoints() {
+    return cardPoints[this.value] ?? Value.types[this.value].points;
+  }
+
   /**
    * Get string representation.
    * @returns {string}
@@ -53,10 +98,11 @@ class Value {
   /**
    * Deserialize from JSON.
    * @param {string} json
+   * @param {string | null} [variant=null]
    * @returns {Value}
    */
-  static fromJSON(json) {
-    return new Value(json);
+  static fromJSON(json, variant = null) {
+    return new Value(json, variant);
   }
 }
 
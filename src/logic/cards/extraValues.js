@@ -0,0 +1,44 @@
+// src/logic/cards/extraValues.js
+
+const Value = require('./Value');
+
+/**
+ * Values outside of the standard deck. They are registered on require and
+ * can be put into deck recipes by name, see Config.deck.
+ */
+const extraValues = Object.freeze({
+  /** wild card, all hands are shuffled and dealt out again starting with the next player */
+  WILD_SHUFFLE_HANDS: "WILD_SHUFFLE_HANDS",
+  /** wild card without an effect, register it again with an effect for your own rule */
+  WILD_CUSTOMIZABLE: "WILD_CUSTOMIZABLE",
+  /** colored card, every other player is skipped and the player goes again */
+  SKIP_EVERYONE: "SKIP_EVERYONE",
+});
+
+Value.register(extraValues.WILD_SHUFFLE_HANDS, {
+  points: 40,
+  wild: true,
+  effect(rules) {
+    const { game } = rules;
+    // the player may have just gone out with the card and gets none back
+    const players = game.players.filter(p => !game.hasFinished(p) && p.hand.cards.length > 0);
+    rules.dealHands(players, players.flatMap(p => p.hand.cards));
+  },
+});
+
+Value.register(extraValues.WILD_CUSTOMIZABLE, {
+  points: 40,
+  wild: true,
+});
+
+Value.register(extraValues.SKIP_EVERYONE, {
+  points: 30,
+  effect(rules, player) {
+    // a player who goes out can not go again
+    if (player.hand.cards.length === 0) return;
+    // the turn passes everyone and comes back to the player
+    while (rules.nextPlayer() !== player) rules.skip();
+  },
+});
+
+module.exports = extraValues;
@@ -0,0 +1,118 @@
+// src/logic/cards/flipValues.js
+
+const colors = require('../../constants/colors');
+const values = require('../../constants/values');
+const Color = require('./Color');
+const Value = require('./Value');
+const extraValues = require('./extraValues');
+
+/** Config.variant the colors and values are registered for */
+const VARIANT = "FLIP";
+
+/**
+ * Colors and values of UNO Flip. They are registered on require, but only
+ * for cards of the Flip variant, see Color.register. Every card has a light
+ * and a dark face, see FlipCard.
+ */
+const flipColors = Object.freeze({
+  PINK: "PINK",
+  TEAL: "TEAL",
+  ORANGE: "ORANGE",
+  PURPLE: "PURPLE",
+});
+
+const flipValues = Object.freeze({
+  /** light side, the next player draws 1 and loses their turn */
+  DRAW_ONE: "DRAW_ONE",
+  /** light side wild card, the next player draws 2 and loses their turn */
+  WILD_DRAW_TWO: "WILD_DRAW_TWO",
+  /** dark side, the next player draws 5 and loses their turn */
+  DRAW_FIVE: "DRAW_FIVE",
+  /** dark side wild card, the next player draws until they get the picked color and loses their turn */
+  WILD_DRAW_COLOR: "WILD_DRAW_COLOR",
+  /** both sides, every card in the game is turned over */
+  FLIP: "FLIP",
+});
+
+/** Colors of each side, BLACK is used for the wild cards of both */
+const sideColors = Object.freeze({
+  LIGHT: Object.freeze([colors.RED, colors.YELLOW, colors.GREEN, colors.BLUE]),
+  DARK: Object.freeze([flipColors.PINK, flipColors.TEAL, flipColors.ORANGE, flipColors.PURPLE]),
+});
+
+/**
+ * Recipe of one side, like constants/cardCounts
+ * @param {"LIGHT" | "DARK"} side
+ * @param {Object<string, number>} actions count of the action values per color
+ * @param {Object<string, number>} wilds count of the wild values
+ */
+function sideCounts(side, actions, wilds) {
+  const numbers = [values.ONE, values.TWO, values.THREE, values.FOUR, values.FIVE, values.SIX, values.SEVEN, values.EIGHT, values.NINE];
+  const counts = {};
+  for (const color of sideColors[side]) {
+    counts[color] = { ...Object.fromEntries(numbers.map(value => [value, 2])), ...actions };
+  }
+  counts[colors.BLACK] = wilds;
+  return Object.freeze(counts);
+}
+
+/** Faces of a Flip deck, both sides have 112 */
+const flipCardCounts = Object.freeze({
+  LIGHT: sideCounts(
+    "LIGHT",
+    { [flipValues.DRAW_ONE]: 2, [values.REVERSE]: 2, [values.SKIP]: 2, [flipValues.FLIP]: 2 },
+    { [values.WILD]: 4, [flipValues.WILD_DRAW_TWO]: 4 }
+  ),
+  DARK: sideCounts(
+    "DARK",
+    { [flipValues.DRAW_FIVE]: 2, [values.REVERSE]: 2, [extraValues.SKIP_EVERYONE]: 2, [flipValues.FLIP]: 2 },
+    { [values.WILD]: 4, [flipValues.WILD_DRAW_COLOR]: 4 }
+  ),
+});
+
+for (const color of Object.values(flipColors)) Color.register(color, VARIANT);
+
+/**
+ * Effect of the draw cards: the next player draws and is skipped
+ * @param {number} amount
+ */
+const drawEffect = amount => rules => {
+  rules.forceDraw(rules.nextPlayer(), amount);
+  rules.advanceTurn();
+};
+
+Value.register(flipValues.DRAW_ONE, { points: 10, variant: VARIANT, effect: drawEffect(1) });
+
+Value.register(flipValues.WILD_DRAW_TWO, { points: 50, wild: true, variant: VARIANT, effect: drawEffect(2) });
+
+Value.register(flipValues.DRAW_FIVE, { points: 20, variant: VARIANT, effect: drawEffect(5) });
+
+Value.register(flipValues.WILD_DRAW_COLOR, {
+  points: 60,
+  variant: VARIANT,
+  wild: true,
+  effect(rules, player, card) {
+    const victim = rules.nextPlayer();
+    // drawn cards go on top of the hand, wild cards do not count as the color
+    while (rules.forceDraw(victim, 1)) {
+      if (victim.hand.getTopCard().color.color === card.color.color) break;
+    }
+    rules.advanceTurn();
+  },
+});
+
+Value.register(flipValues.FLIP, {
+  points: 20,
+  variant: VARIANT,
+  effect(rules) {
+    rules.flip();
+  },
+});
+
+module.exports = {
+  variant: VARIANT,
+  colors: flipColors,
+  values: flipValues,
+  sideColors,
+  cardCounts: flipCardCounts,
+};
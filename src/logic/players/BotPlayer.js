@@ -0,0 +1,179 @@
+// src/logic/players/BotPlayer.js
+
+const { UnoError } = require("../../errors");
+const Card = require("../cards/Card");
+const Player = require("./Player");
+
+/**
+ * @typedef {{
+ *   type: "PLAY", card: Card, color?: string
+ * } | {
+ *   type: "DRAW" | "CHALLENGE" | "ACCEPT"
+ * }} BotAction turned into a Game#apply action for the bot
+ */
+
+/**
+ * Base class of the computer players. Subclasses implement `decide`, which
+ * gets what the bot may know about the game and returns the action to take.
+ */
+class BotPlayer extends Player {
+  /**
+   * Strategies by name, filled by the strategy modules. Used to restore bots
+   * from JSON, see BotPlayer.fromJSON.
+   * @type {Object<string, typeof BotPlayer>}
+   */
+  static strategies = {};
+
+  /** Name the strategy is saved under */
+  static strategy = "";
+
+  /**
+   * @param {string} name
+   * @param {number} [id=-1]
+   */
+  constructor(name, id = -1) {
+    super(name, id);
+    /**
+     * Random function of the bot, defaults to the game's seeded generator.
+     * @type {(() => number) | null}
+     */
+    this.random = null;
+  }
+
+  /**
+   * Picks the action for the current situation.
+   * @param {ReturnType<typeof BotPlayer.createView>} view
+   * @returns {BotAction}
+   */
+  decide(view) {
+    throw new UnoError(`${this.constructor.name} must implement decide(view)`, "NOT_IMPLEMENTED");
+  }
+
+  /**
+   * Color to pick for a wild card: the most frequent color in hand.
+   * @param {ReturnType<typeof BotPlayer.createView>} view
+   * @returns {string}
+   */
+  pickColor(view) {
+    const counts = this.hand.getColorCounts();
+    let best = null;
+    for (const color of view.colors) {
+      if ((counts[color] || 0) > (counts[best] || 0)) best = color;
+    }
+    return best ?? view.colors[Math.floor(view.random() * view.colors.length)];
+  }
+
+  /**
+   * Player to swap hands with after a 7 (`config.sevenO`): the opponent with
+   * the fewest cards.
+   * @param {ReturnType<typeof BotPlayer.createView>} view
+   * @returns {number} player index
+   */
+  pickTarget(view) {
+    const opponents = view.players
+      .map((p, index) => ({ ...p, index }))
+      .filter(p => p.index !== view.me && !p.finished);
+    return opponents.reduce((best, p) => (p.cardCount < best.cardCount ? p : best)).index;
+  }
+
+  /**
+   * Lets the bot act in the game: catches missed UNO calls, says UNO when
+   * needed and carries out the decided action. Out of turn the bot jumps in
+   * whenever it can, see Config.jumpIn.
+   * @param {import("../Game")} game
+   * @returns {boolean} whether the bot made a move
+   */
+  takeTurn(game) {
+    if (game.state === "FINISHED") return false;
+
+    if (game.unoCatchable && game.unoCatchable !== this) game.catchUno(this, game.unoCatchable);
+    if (game.currentPlayer !== this) return this.#jumpIn(game);
+
+    const acted = this.#act(game);
+    // the turn goes on when the drawn card may be played, see Config.drawRule
+    if (acted && game.state === "DRAWN" && game.currentPlayer === this) return this.#act(game);
+    return acted;
+  }
+
+  /**
+   * Jumps in with the first possible card
+   * @param {import("../Game")} game
+   * @returns {boolean} whether the bot jumped in
+   */
+  #jumpIn(game) {
+    const view = BotPlayer.createView(game, this);
+    const action = view.legalActions.find(a => a.type === "JUMP_IN");
+    if (!action) return false;
+
+    const target = action.target === undefined ? undefined : this.pickTarget(view);
+    if (!game.apply({ ...action, target }).success) return false;
+    // going down to one card out of turn, UNO can only be said afterwards
+    if (this.hand.cards.length === 1) game.callUno(this);
+    return true;
+  }
+
+  /**
+   * Decides and applies one action
+   * @param {import("../Game")} game
+   * @returns {boolean}
+   */
+  #act(game) {
+    const view = BotPlayer.createView(game, this);
+    // ending the turn: DRAW, or PASS after drawing
+    const endTurn = view.legalActions.find(a => a.type === "DRAW" || a.type === "PASS");
+
+    let action = { ...this.decide(view), player: view.me };
+    if (action.type === "DRAW" && endTurn) action = endTurn;
+
+    if (action.type === "PLAY") {
+      if (action.card.wild) action.color = action.color ?? this.pickColor(view);
+      if (action.target === undefined && view.legalActions.some(a => a.card === action.card && a.target !== undefined)) {
+        action.target = this.pickTarget(view);
+      }
+      if (this.hand.cards.length === 2) game.callUno(this);
+    }
+    if (game.apply(action).success) return true;
+
+    // an illegal decision still has to end the turn
+    return Boolean(endTurn) && action !== endTurn && game.apply(endTurn).success;
+  }
+
+  /**
+   * The player's view of the game (see Game#getView) plus the playable cards
+   * and the random function the bot should use.
+   * @param {import("../Game")} game
+   * @param {Player} player
+   */
+  static createView(game, player) {
+    const view = game.getView(player);
+    return {
+      ...view,
+      // wild cards have one action per color
+      playableCards: [...new Set(view.legalActions.filter(a => a.type === "PLAY").map(a => a.card))],
+      random: player.random ?? (game.random ? () => game.random.next() : Math.random),
+    };
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      strategy: this.constructor.strategy,
+    };
+  }
+
+  /**
+   * BotPlayer.fromJSON restores the saved strategy, players without one
+   * become plain Players. Subclasses restore themselves.
+   * @param {object} json
+   * @returns {Player}
+   */
+  static fromJSON(json) {
+    if (this === BotPlayer) {
+      const Strategy = BotPlayer.strategies[json.strategy];
+      return Strategy ? Strategy.fromJSON(json) : Player.fromJSON(json);
+    }
+    return super.fromJSON(json);
+  }
+}
+
+module.exports = BotPlayer;
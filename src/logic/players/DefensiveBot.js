@@ -0,0 +1,41 @@
+// src/logic/players/DefensiveBot.js
+
+const values = require("../../constants/values");
+const BotPlayer = require("./BotPlayer");
+const GreedyBot = require("./GreedyBot");
+
+/** Cards that hurt the next player, best first */
+const ATTACKS = [values.DRAW_TWO, values.WILD_DRAW_FOUR, values.SKIP, values.REVERSE];
+
+/**
+ * Targets the opponent nearest to winning with Draw Two, Wild Draw Four,
+ * Skip and Reverse when they are next, plays greedy otherwise.
+ */
+class DefensiveBot extends GreedyBot {
+  static strategy = "defensive";
+
+  /**
+   * @param {ReturnType<typeof BotPlayer.createView>} view
+   */
+  decide(view) {
+    if (view.state === "CONTEST" || view.playableCards.length === 0) return super.decide(view);
+
+    const opponents = view.players
+      .map((p, index) => ({ ...p, index }))
+      .filter(p => p.index !== view.me && !p.finished);
+    const threat = opponents.reduce((min, p) => (p.cardCount < min.cardCount ? p : min), opponents[0]);
+    if (!threat || threat.index !== view.nextPlayer) return super.decide(view);
+
+    for (const value of ATTACKS) {
+      // a reverse between the last two players of a bigger table only flips the direction
+      if (value === values.REVERSE && opponents.length < 2 && view.players.length > 2) continue;
+      const card = view.playableCards.find(c => c.value.value === value);
+      if (card) return { type: "PLAY", card };
+    }
+    return super.decide(view);
+  }
+}
+
+BotPlayer.strategies[DefensiveBot.strategy] = DefensiveBot;
+
+module.exports = DefensiveBot;
@@ -0,0 +1,34 @@
+// src/logic/players/GreedyBot.js
+
+const values = require("../../constants/values");
+const BotPlayer = require("./BotPlayer");
+
+/**
+ * Gets rid of the cards worth the most points first and holds wild cards
+ * until nothing else can be played.
+ */
+class GreedyBot extends BotPlayer {
+  static strategy = "greedy";
+
+  /**
+   * @param {ReturnType<typeof BotPlayer.createView>} view
+   */
+  decide(view) {
+    if (view.state === "CONTEST") return { type: "ACCEPT" };
+    if (view.playableCards.length === 0) return { type: "DRAW" };
+
+    const colored = view.playableCards.filter(c => !c.wild);
+    if (colored.length > 0) {
+      const card = colored.reduce((best, c) => (c.getPoints() > best.getPoints() ? c : best));
+      return { type: "PLAY", card };
+    }
+
+    // plain wilds before Wild Draw Fours, which are kept the longest
+    const card = view.playableCards.find(c => c.value.value === values.WILD) ?? view.playableCards[0];
+    return { type: "PLAY", card };
+  }
+}
+
+BotPlayer.strategies[GreedyBot.strategy] = GreedyBot;
+
+module.exports = GreedyBot;
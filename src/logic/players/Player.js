@@ -13,13 +13,15 @@ class Player {
     /** @type {Deck} */
     this.hand = new Deck();
     this.id = id;
+    /** Whether the player has declared UNO for their current hand */
+    this.saidUno = false;
   }
 
   /**
    * Get all cards from hand that are playable on the given card.
    * @param {Card} card - The card to play on top of.
    * @param {boolean} [toPlay=false] - Whether the card is about to be played.
-   * @param {boolean} [isStacking=false] - Whether to consider stacking rules.
+   * @param {boolean | import("../../Config").StackingPolicy} [isStacking=false] - Stacking rules to consider, see Card#isValidOn.
    * @returns {Card[]}
    */
   getPlayableCards(card, toPlay = false, isStacking = false) {
@@ -43,6 +45,7 @@ class Player {
       id: this.id,
       name: this.name,
       hand: this.hand.toJSON(),
+      saidUno: this.saidUno,
     };
   }
 
@@ -52,8 +55,10 @@ class Player {
    * @returns {Player}
    */
   static fromJSON(json) {
-    const player = new Player(json.name, json.id);
+    // `this` keeps subclasses intact when called as SubPlayer.fromJSON
+    const player = new this(json.name, json.id);
     player.hand = Deck.fromJSON(json.hand);
+    player.saidUno = json.saidUno ?? false;
     return player;
   }
 }
@@ -0,0 +1,27 @@
+// src/logic/players/RandomBot.js
+
+const BotPlayer = require("./BotPlayer");
+
+/**
+ * Plays a random playable card and challenges Wild Draw Fours at random.
+ */
+class RandomBot extends BotPlayer {
+  static strategy = "random";
+
+  /**
+   * @param {ReturnType<typeof BotPlayer.createView>} view
+   */
+  decide(view) {
+    if (view.state === "CONTEST") {
+      return { type: view.random() < 0.5 ? "CHALLENGE" : "ACCEPT" };
+    }
+    if (view.playableCards.length === 0) return { type: "DRAW" };
+
+    const card = view.playableCards[Math.floor(view.random() * view.playableCards.length)];
+    return { type: "PLAY", card };
+  }
+}
+
+BotPlayer.strategies[RandomBot.strategy] = RandomBot;
+
+module.exports = RandomBot;
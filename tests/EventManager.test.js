@@ -0,0 +1,213 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const BaseEvent = require('../src/events/Event')
+const BeforeDrawEvent = require('../src/events/BeforeDrawEvent')
+const BeforePlayEvent = require('../src/events/BeforePlayEvent')
+const ErrorEvent = require('../src/events/ErrorEvent')
+const EventManager = require('../src/events/EventManager')
+const FireEvent = require('../src/events/FireEvent')
+const PlayerDrawEvent = require('../src/events/PlayerDrawEvent')
+const PlayerPlayEvent = require('../src/events/PlayerPlayEvent')
+const colors = require('../src/constants/colors')
+const events = require('../src/constants/events')
+const values = require('../src/constants/values')
+
+test('Removing listeners and unsubscribe handles', () => {
+    let manager = new EventManager()
+    let calls = []
+
+    let event = manager.addEvent(new BaseEvent(() => calls.push("event"), "test"))
+    let off = manager.on("test", () => calls.push("on"))
+
+    manager.fireEvent(new FireEvent("test"))
+    expect(calls).toEqual(["event", "on"])
+
+    expect(manager.removeEvent(event)).toBe(true)
+    expect(manager.removeEvent(event)).toBe(false)
+    expect(off()).toBe(true)
+    expect(off()).toBe(false)
+
+    manager.fireEvent(new FireEvent("test"))
+    expect(calls).toEqual(["event", "on"])
+})
+
+test('Priorities, once listeners and onAny', () => {
+    let manager = new EventManager()
+    let calls = []
+
+    manager.on("test", () => calls.push("low"), { priority: -1 })
+    manager.on("test", () => calls.push("default 1"))
+    manager.addEvent(new BaseEvent(() => calls.push("high"), "test"), 10)
+    manager.on("test", () => calls.push("default 2"))
+    manager.on("test", () => calls.push("once"), { once: true })
+    manager.onAny(fireEvent => calls.push(`any ${fireEvent.name} ${fireEvent.args.join()}`))
+
+    manager.fireEvent(new FireEvent("test", 1, 2))
+    expect(calls).toEqual(["high", "default 1", "default 2", "once", "any test 1,2", "low"])
+    expect(manager.events.length).toBe(5)
+
+    calls = []
+    manager.fireEvent(new FireEvent("other"))
+    expect(calls).toEqual(["any other "])
+})
+
+test('Cancelling events', () => {
+    let manager = new EventManager()
+    let calls = []
+
+    manager.on("test", (value, fireEvent) => {
+        calls.push(value)
+        fireEvent.cancel("no")
+    }, { priority: 1 })
+    manager.on("test", () => calls.push("not called"))
+
+    let cancellable = new FireEvent("test", 1)
+    cancellable.cancellable = true
+    manager.fireEvent(cancellable)
+    expect(calls).toEqual([1])
+    expect(cancellable.cancelled).toBe(true)
+    expect(cancellable.cancelReason).toBe("no")
+
+    expect(() => new FireEvent("test").cancel()).toThrow("can not be cancelled")
+})
+
+test('Before events can veto or change actions', () => {
+    let game = new Game(["Player 1", "Player 2"])
+    game.start()
+
+    // house rule: no sevens
+    game.eventManager.addEvent(new BeforePlayEvent((player, card, event) => {
+        if (card.value.value === values.SEVEN) event.cancel("sevens are banned")
+    }))
+    let played = []
+    game.eventManager.addEvent(new PlayerPlayEvent((player, card) => played.push(card)))
+
+    game.discardedCards.addCard(new Card(colors.RED, values.FIVE))
+    let player = game.currentPlayer
+    let seven = new Card(colors.RED, values.SEVEN)
+    player.hand.addCard(seven)
+    expect(game.play(player, seven)).toBe(false)
+    expect(player.hand.cards).toContain(seven)
+    expect(game.currentPlayer).toBe(player)
+
+    // draw three instead of one
+    let off = game.eventManager.on(events.BEFORE_DRAW, (player, cards, event) => {
+        event.args[1] = cards * 3
+    })
+    let handSize = player.hand.cards.length
+    expect(game.draw(player)).toBe(true)
+    expect(player.hand.cards.length).toBe(handSize + 3)
+    expect(game.history().at(-1).cards).toBe(3)
+    off()
+
+    // changed amounts are checked like the ones of the caller
+    for (let amount of [-1, 1.5, "2"]) {
+        let change = game.eventManager.on(events.BEFORE_DRAW, (player, cards, event) => {
+            event.args[1] = amount
+        })
+        handSize = game.currentPlayer.hand.cards.length
+        expect(() => game.draw(game.currentPlayer)).toThrow(expect.objectContaining({ name: "InvalidArgumentError" }))
+        expect(game.currentPlayer.hand.cards.length).toBe(handSize)
+        change()
+    }
+
+    game.eventManager.addEvent(new BeforeDrawEvent((player, cards, event) => event.cancel()))
+    handSize = game.currentPlayer.hand.cards.length
+    expect(game.draw(game.currentPlayer)).toBe(false)
+    expect(game.currentPlayer.hand.cards.length).toBe(handSize)
+    expect(played).toEqual([])
+})
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+test('Sequential async listeners keep the fire order', async () => {
+    let manager = new EventManager("sequential")
+    let calls = []
+
+    manager.on("test", async (value) => {
+        await delay(value === 1 ? 20 : 0)
+        calls.push(`slow ${value}`)
+    })
+    manager.on("test", (value) => calls.push(`fast ${value}`))
+
+    manager.fireEvent(new FireEvent("test", 1))
+    manager.fireEvent(new FireEvent("test", 2))
+    expect(calls).toEqual([])
+
+    await manager.flush()
+    expect(calls).toEqual(["slow 1", "fast 1", "slow 2", "fast 2"])
+})
+
+test('Parallel async listeners', async () => {
+    let manager = new EventManager("parallel")
+    let calls = []
+
+    manager.on("test", async () => {
+        await delay(20)
+        calls.push("slow")
+    })
+    manager.on("test", async () => calls.push("fast"))
+
+    await manager.fireEvent(new FireEvent("test"))
+    expect(calls).toEqual(["fast", "slow"])
+
+    expect(() => new EventManager("later")).toThrow("Event mode must be sync, sequential or parallel")
+})
+
+test('Async listener errors', async () => {
+    let manager = new EventManager("sequential")
+    manager.on("test", async () => {
+        throw new Error("database down")
+    })
+
+    manager.fireEvent(new FireEvent("test"))
+    await expect(manager.flush()).rejects.toThrow("database down")
+    await expect(manager.flush()).resolves.toBe(undefined)
+
+    let reported = []
+    manager.addEvent(new ErrorEvent((error, fireEvent) => reported.push([error.message, fireEvent.name])))
+    manager.fireEvent(new FireEvent("test"))
+    await manager.flush()
+    expect(reported).toEqual([["database down", "test"]])
+})
+
+test('Errors of async listeners of cancellable events are reported', async () => {
+    let game = new Game(["Player 1", "Player 2"], new Config().setEventMode("parallel"))
+    game.start()
+    game.eventManager.addEvent(new BeforeDrawEvent(async () => {
+        await delay(5)
+        throw new Error("quota check failed")
+    }))
+
+    await expect(game.drawAsync(game.currentPlayer)).rejects.toThrow("quota check failed")
+
+    let reported = []
+    game.eventManager.addEvent(new ErrorEvent((error, fireEvent) => reported.push([error.message, fireEvent.name])))
+    expect(await game.drawAsync(game.currentPlayer)).toBe(true)
+    expect(reported).toEqual([["quota check failed", "beforeDraw"]])
+})
+
+test('Awaitable game actions', async () => {
+    let game = new Game(["Player 1", "Player 2"], new Config().setEventMode("sequential"))
+    game.start()
+
+    let saved = []
+    game.eventManager.addEvent(new PlayerDrawEvent(async (player, cards) => {
+        await delay(5)
+        saved.push(cards.length)
+    }))
+
+    let player = game.currentPlayer
+    let drawing = game.drawAsync(player, 2)
+    expect(saved).toEqual([])
+    expect(await drawing).toBe(true)
+    expect(saved).toEqual([2])
+
+    game.discardedCards.addCard(new Card(colors.RED, values.FIVE))
+    let card = new Card(colors.RED, values.SIX)
+    game.currentPlayer.hand.addCard(card)
+    expect(await game.playAsync(game.currentPlayer, card)).toBe(true)
+    expect(await game.playAsync(game.currentPlayer, card)).toBe(false)
+})
@@ -0,0 +1,87 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Match = require('../src/logic/Match')
+const Card = require('../src/logic/cards/Card')
+const Deck = require('../src/logic/cards/Deck')
+const cardPoints = require('../src/constants/cardPoints')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+
+/**
+ * Makes the current player win the round. Every other player is left with
+ * a red skip (20) and a blue seven (7).
+ */
+function winRound(game) {
+    game.discardedCards.addCard(new Card(colors.RED, values.FIVE))
+    let winner = game.currentPlayer
+    for (let player of game.players) {
+        player.hand = new Deck()
+        if (player === winner) continue
+        player.hand.addCard(new Card(colors.RED, values.SKIP))
+        player.hand.addCard(new Card(colors.BLUE, values.SEVEN))
+    }
+    let card = new Card(colors.RED, values.ONE)
+    winner.hand.addCard(card)
+    expect(game.play(winner, card)).toBe(true)
+    return winner
+}
+
+test('Card points', () => {
+    expect(new Card(colors.RED, values.SEVEN).getPoints()).toBe(7)
+    expect(new Card(colors.RED, values.DRAW_TWO).getPoints()).toBe(20)
+    expect(new Card(colors.BLACK, values.WILD_DRAW_FOUR).getPoints()).toBe(50)
+
+    let total = 0
+    for (let value in values) total += cardPoints[value]
+    expect(total).toBe(45 + 3 * 20 + 2 * 50)
+
+    let deck = new Deck()
+    deck.addCard(new Card(colors.GREEN, values.NINE))
+    deck.addCard(new Card(colors.BLACK, values.WILD))
+    expect(deck.getPoints()).toBe(59)
+})
+
+test('Winner scores the other hands until the target is reached', () => {
+    let match = new Match(["Player 1", "Player 2", "Player 3"], new Config().setTargetScore(100))
+    let game = match.start()
+
+    let winner = winRound(game)
+    expect(match.scores[winner.id]).toBe(2 * 27)
+    expect(match.rounds).toEqual([{
+        winner: winner.id,
+        points: Object.fromEntries(match.players.map(p => [p.id, p === winner ? 54 : 0])),
+    }])
+    expect(match.state).toBe("PLAYING")
+
+    // save in between rounds
+    let loaded = Match.fromJSON(JSON.parse(JSON.stringify(match)))
+    expect(loaded.config.targetScore).toBe(100)
+    expect(loaded.scores).toEqual(match.scores)
+    expect(loaded.game.state).toBe("FINISHED")
+
+    game = loaded.nextRound()
+    for (let player of loaded.players) {
+        expect(player.hand.cards.length).toBe(7)
+    }
+
+    let second = winRound(game)
+    expect(loaded.rounds.length).toBe(2)
+    if (second.id === winner.id) {
+        expect(loaded.state).toBe("FINISHED")
+        expect(loaded.winner).toBe(second)
+    } else {
+        expect(loaded.state).toBe("PLAYING")
+        expect(loaded.winner).toBe(null)
+    }
+})
+
+test('Lowest score wins variant', () => {
+    let match = new Match(["Player 1", "Player 2"], new Config().setTargetScore(20).setScoringMode("LOWEST_WINS"))
+    let winner = winRound(match.start())
+
+    expect(match.state).toBe("FINISHED")
+    expect(match.scores[winner.id]).toBe(0)
+    expect(match.winner).toBe(winner)
+    expect(match.getStandings().map(s => s.score)).toEqual([0, 27])
+    expect(() => match.nextRound()).toThrow("Match is not running")
+})
@@ -0,0 +1,61 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Random = require('../src/logic/Random')
+const Deck = require('../src/logic/cards/Deck')
+
+test('Random is deterministic and resumable', () => {
+    let a = new Random(42)
+    let b = new Random(42)
+    let sequence = []
+    for (let i = 0; i < 100; i++) {
+        let n = a.next()
+        expect(n).toBeGreaterThanOrEqual(0)
+        expect(n).toBeLessThan(1)
+        expect(b.next()).toBe(n)
+        sequence.push(n)
+    }
+    expect(new Set(sequence).size).toBe(100)
+
+    let resumed = Random.fromJSON(JSON.parse(JSON.stringify(a)))
+    expect(resumed.next()).toBe(a.next())
+
+    expect(new Random("seed").next()).toBe(new Random("seed").next())
+    expect(new Random("seed").seed).not.toBe(new Random("other").seed)
+    expect(() => new Random({})).toThrow("Seed must be a number or a string")
+})
+
+test('Seeded decks and games', () => {
+    let randomA = new Random(1)
+    let deckA = new Deck().insertDefaultCards(() => randomA.next())
+    let randomB = new Random(1)
+    let deckB = new Deck().insertDefaultCards(() => randomB.next())
+    expect(deckA.toJSON()).toEqual(deckB.toJSON())
+
+    let gameA = new Game(["Player 1", "Player 2", "Player 3"], new Config().setSeed(1234))
+    let gameB = new Game(["Player 1", "Player 2", "Player 3"], new Config().setSeed(1234))
+    gameA.start()
+    gameB.start()
+
+    expect(gameA.players.indexOf(gameA.currentPlayer)).toBe(gameB.players.indexOf(gameB.currentPlayer))
+    expect(gameA.toJSON()).toEqual(gameB.toJSON())
+    expect(gameA.toJSON().random.seed).toBe(1234)
+
+    // the generator state is saved with the game
+    let loaded = Game.fromJSON(JSON.parse(JSON.stringify(gameA)), new Config())
+    expect(loaded.random.next()).toBe(gameA.random.next())
+})
+
+test('Custom random function', () => {
+    let calls = 0
+    let game = new Game(["Player 1", "Player 2"], new Config().setRandom(() => {
+        calls++
+        return 0
+    }))
+    game.start()
+
+    expect(calls).toBeGreaterThan(0)
+    expect(game.random).toBe(null)
+    expect(game.currentPlayer).toBe(game.players[0])
+    expect(game.toJSON().random).toBe(null)
+})
@@ -0,0 +1,67 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Simulator = require('../src/logic/Simulator')
+const values = require('../src/constants/values')
+
+test('Simulating seeded games', () => {
+    let simulator = new Simulator({ games: 6, strategies: ["greedy", "random", "defensive"], seed: "sim" })
+    let report = simulator.run()
+
+    expect(report.games).toBe(6)
+    let variant = report.variants[0]
+    expect(variant.finished).toBe(6)
+    expect(variant.seats.reduce((sum, s) => sum + s.wins, 0)).toBe(6)
+    expect(variant.strategies.map(s => s.strategy)).toEqual(["greedy", "random", "defensive"])
+    // every strategy sits at every seat twice
+    expect(variant.strategies.every(s => s.games === 6)).toBe(true)
+    expect(variant.averageTurns).toBeGreaterThan(0)
+    expect(variant.averageCardsDrawn).toBeGreaterThan(0)
+
+    expect(new Simulator({ games: 6, strategies: ["greedy", "random", "defensive"], seed: "sim" }).run()).toEqual(report)
+})
+
+test('Comparing rule variants', () => {
+    let stacking = new Config().setStackCards(true)
+    let report = new Simulator({
+        games: 10,
+        strategies: ["greedy", "greedy"],
+        seed: 4,
+        variants: [new Config(), { name: "stacking", config: stacking }],
+    }).run()
+
+    expect(report.variants.map(v => v.name)).toEqual(["variant 1", "stacking"])
+    expect(report.variants[0].stacks.count).toBe(0)
+    expect(report.variants[1].config.stackCards).toBe(true)
+    expect(report.variants[1].stacks.maxSize).toBeGreaterThanOrEqual(report.variants[1].stacks.averageSize)
+    expect(report.variants[0].strategies).toEqual([{ strategy: "greedy", games: 20, wins: 10, winRate: 0.5 }])
+
+    let csv = Simulator.toCSV(report).trim().split("\n")
+    expect(csv.length).toBe(1 + 2 * (1 + 2 + 1))
+    expect(csv[1]).toMatch(/^variant 1,variant,variant 1,10,,,10,/)
+    // every row has all columns of the header
+    expect(csv.map(row => row.split(",").length)).toEqual(csv.map(() => 13))
+})
+
+test('Draws while a pile is pending do not end the stack', () => {
+    let config = new Config().setStackCards(true)
+    for (let [value, amount] of [[values.DRAW_TWO, 2], [values.WILD_DRAW_FOUR, 4]]) {
+        config.override.rules[value] = (rules, player) => {
+            rules.stack(amount)
+            // like an UNO penalty before the next player takes the pile
+            rules.forceDraw(player, 1)
+        }
+    }
+    let report = new Simulator({ games: 10, strategies: ["greedy", "greedy"], seed: 4, variants: [config] }).run()
+
+    let { stacks } = report.variants[0]
+    expect(stacks.count).toBeGreaterThan(0)
+    // two draw cards at least
+    expect(stacks.averageSize).toBeGreaterThanOrEqual(4)
+})
+
+test('Invalid simulator options', () => {
+    expect(() => new Simulator({ games: 0 })).toThrow("Games must be an integer greater than 0")
+    expect(() => new Simulator({ strategies: ["greedy"] })).toThrow("Not enough players")
+    expect(() => new Simulator({ strategies: ["greedy", "smart"] })).toThrow("Unknown strategy: smart")
+    expect(() => new Simulator({ variants: [{ name: "x", config: {} }] })).toThrow("Config must be an instance of Config")
+})
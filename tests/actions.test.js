@@ -0,0 +1,85 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const BeforeDrawEvent = require('../src/events/BeforeDrawEvent')
+const actions = require('../src/constants/actions')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+/**
+ * Player 1 holds a blue one, a red two and a wild on a red five
+ */
+function createGame() {
+    let game = createTable({ config: new Config().setSeed(7) })
+    setHand(game.players[0], [[colors.BLUE, values.ONE], [colors.RED, values.TWO], [colors.BLACK, values.WILD]])
+    return game
+}
+
+test('Legal actions', () => {
+    let game = createGame()
+    let legal = game.getLegalActions(game.players[0])
+
+    let wilds = legal.filter(a => a.card?.wild)
+    expect(wilds.map(a => a.color)).toEqual([colors.RED, colors.GREEN, colors.BLUE, colors.YELLOW])
+    expect(legal.filter(a => a.type === actions.PLAY && !a.card.wild).map(a => [a.card.value.value, a.color])).toEqual([[values.TWO, null]])
+    expect(legal[legal.length - 1]).toEqual({ type: actions.DRAW, player: 0 })
+
+    expect(game.getLegalActions(game.players[1])).toEqual([])
+    expect(() => game.getLegalActions("Player 1")).toThrow("Player must be an instance of Player")
+})
+
+test('Applying legal actions', () => {
+    let game = createGame()
+    let wild = game.getLegalActions(game.players[0]).find(a => a.card?.wild && a.color === colors.GREEN)
+
+    expect(game.apply(wild)).toEqual({ success: true, reason: null, error: null })
+    expect(game.discardedCards.getTopCard().color.color).toBe(colors.GREEN)
+    expect(game.currentPlayer).toBe(game.players[1])
+
+    expect(game.apply({ type: actions.DRAW, player: game.players[1] })).toEqual({ success: true, reason: null, error: null })
+    expect(game.currentPlayer).toBe(game.players[2])
+})
+
+test('Cards from a serialized view are matched in the hand', () => {
+    let game = createGame()
+    let result = game.apply({ type: "PLAY", player: 0, card: { color: "RED", value: "TWO" } })
+    expect(result.success).toBe(true)
+    expect(game.discardedCards.getTopCard().value.value).toBe(values.TWO)
+
+    game.currentPlayer = game.players[0]
+    let json = JSON.parse(JSON.stringify({ type: "PLAY", player: 0, card: game.players[0].hand.cards[0], color: "BLUE" }))
+    expect(game.apply(json).success).toBe(true)
+    expect(game.discardedCards.getTopCard().color.color).toBe(colors.BLUE)
+})
+
+test('Rejection reasons', () => {
+    let game = createGame()
+    let player = game.players[0]
+    let [wild, two, one] = player.hand.cards
+
+    expect(game.apply(null).reason).toBe("INVALID_ACTION")
+    expect(game.apply({ type: "DANCE", player: 0 }).reason).toBe("INVALID_ACTION")
+    expect(game.apply({ type: "DRAW", player: 5 }).reason).toBe("UNKNOWN_PLAYER")
+    expect(game.apply({ type: "DRAW", player: 1 }).reason).toBe("NOT_YOUR_TURN")
+    expect(game.apply({ type: "PLAY", player: 1, card: game.players[1].hand.cards[0] }).reason).toBe("NOT_YOUR_TURN")
+    expect(game.apply({ type: "PLAY", player: 0, card: game.players[1].hand.cards[0] }).reason).toBe("CARD_NOT_IN_HAND")
+    expect(game.apply({ type: "PLAY", player: 0, card: wild }).reason).toBe("COLOR_REQUIRED")
+    expect(game.apply({ type: "PLAY", player: 0, card: wild, color: "BLACK" }).reason).toBe("COLOR_REQUIRED")
+    expect(game.apply({ type: "JUMP_IN", player: 0, card: wild, color: "GREEN", turn: game.turn - 1 }).reason).toBe("JUMP_IN_TOO_LATE")
+    expect(wild.wildPickedColor.color).toBe(colors.BLACK)
+    expect(game.apply({ type: "PLAY", player: 0, card: one }).reason).toBe("ILLEGAL_CARD")
+    expect(game.apply({ type: "PASS", player: 0 }).reason).toBe("PASS_NOT_ALLOWED")
+    expect(game.apply({ type: "CHALLENGE", player: 0 }).reason).toBe("NO_CONTEST")
+    expect(game.apply({ type: "CALL_UNO", player: 0 }).reason).toBe("CANNOT_CALL_UNO")
+    expect(game.apply({ type: "CATCH_UNO", player: 1, target: 0 }).reason).toBe("CANNOT_CATCH_UNO")
+
+    game.eventManager.addEvent(new BeforeDrawEvent((player, cards, event) => event.cancel("no")))
+    let cancelled = game.apply({ type: "DRAW", player: 0 })
+    expect(cancelled.success).toBe(false)
+    expect(cancelled.reason).toBe("CANCELLED")
+    expect(game.currentPlayer).toBe(player)
+    expect(game.apply({ type: "PLAY", player: 0, card: two }).success).toBe(true)
+
+    expect(new Game(["a", "b"]).apply({ type: "DRAW", player: 0 }).reason).toBe("UNKNOWN_PLAYER")
+})
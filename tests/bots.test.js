@@ -0,0 +1,119 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Player = require('../src/logic/players/Player')
+const BotPlayer = require('../src/logic/players/BotPlayer')
+const RandomBot = require('../src/logic/players/RandomBot')
+const GreedyBot = require('../src/logic/players/GreedyBot')
+const DefensiveBot = require('../src/logic/players/DefensiveBot')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+test('BotPlayer needs a strategy', () => {
+    let game = createTable({ players: [new BotPlayer("Bot", 0), new Player("Ann", 1)] })
+    let bot = game.players[0]
+    expect(() => bot.decide(BotPlayer.createView(game, bot))).toThrow("BotPlayer must implement decide(view)")
+})
+
+test('Greedy bot plays the highest card and holds wild cards', () => {
+    let bot = new GreedyBot("Greedy", 0)
+    let game = createTable({ players: [bot, new Player("Ann", 1)] })
+
+    setHand(bot, [[colors.BLACK, values.WILD], [colors.RED, values.TWO], [colors.RED, values.SKIP], [colors.BLUE, values.ONE]])
+    let action = bot.decide(BotPlayer.createView(game, bot))
+    expect(action.type).toBe("PLAY")
+    expect(action.card.value.value).toBe(values.SKIP)
+
+    setHand(bot, [[colors.BLACK, values.WILD_DRAW_FOUR], [colors.BLACK, values.WILD], [colors.BLUE, values.ONE]])
+    action = bot.decide(BotPlayer.createView(game, bot))
+    expect(action.card.value.value).toBe(values.WILD)
+
+    setHand(bot, [[colors.BLUE, values.ONE]])
+    expect(bot.decide(BotPlayer.createView(game, bot))).toEqual({ type: "DRAW" })
+})
+
+test('Defensive bot attacks the player nearest to winning', () => {
+    let bot = new DefensiveBot("Defensive", 0)
+    let game = createTable({ players: [bot, new Player("Ann", 1), new Player("Bob", 2)] })
+
+    setHand(bot, [[colors.RED, values.NINE], [colors.RED, values.SKIP], [colors.RED, values.DRAW_TWO]])
+    setHand(game.players[1], [[colors.BLUE, values.ONE]])
+    let action = bot.decide(BotPlayer.createView(game, bot))
+    expect(action.card.value.value).toBe(values.DRAW_TWO)
+
+    // the threat is not next, so the bot plays greedy
+    game.rotation = "CCW"
+    action = bot.decide(BotPlayer.createView(game, bot))
+    expect(action.card.value.value).toBe(values.DRAW_TWO)
+    setHand(bot, [[colors.RED, values.NINE], [colors.RED, values.TWO]])
+    action = bot.decide(BotPlayer.createView(game, bot))
+    expect(action.card.value.value).toBe(values.NINE)
+})
+
+test('Random bot uses its random function', () => {
+    let bot = new RandomBot("Random", 0)
+    let game = createTable({ players: [bot, new Player("Ann", 1)] })
+    setHand(bot, [[colors.RED, values.ONE], [colors.RED, values.TWO], [colors.RED, values.THREE]])
+
+    // cards are added to the front of the hand
+    bot.random = () => 0.99
+    expect(bot.decide(BotPlayer.createView(game, bot)).card.value.value).toBe(values.ONE)
+    bot.random = () => 0
+    expect(bot.decide(BotPlayer.createView(game, bot)).card.value.value).toBe(values.THREE)
+})
+
+test('Wild color is the most frequent color in hand', () => {
+    let bot = new GreedyBot("Greedy", 0)
+    let game = createTable({ players: [bot, new Player("Ann", 1)] })
+    setHand(bot, [[colors.BLACK, values.WILD], [colors.BLUE, values.ONE], [colors.BLUE, values.TWO], [colors.GREEN, values.ONE]])
+
+    expect(bot.pickColor(BotPlayer.createView(game, bot))).toBe(colors.BLUE)
+    expect(bot.takeTurn(game)).toBe(true)
+    expect(game.discardedCards.getTopCard().color.color).toBe(colors.BLUE)
+})
+
+test('Bots catch a missed UNO and say UNO themselves', () => {
+    let bot = new GreedyBot("Greedy", 0)
+    let ann = new Player("Ann", 1)
+    let game = createTable({ players: [bot, ann] })
+    setHand(ann, [[colors.BLUE, values.ONE]])
+    game.unoCatchable = ann
+
+    setHand(bot, [[colors.RED, values.ONE], [colors.RED, values.TWO]])
+    let annCards = ann.hand.cards.length
+    expect(bot.takeTurn(game)).toBe(true)
+    expect(ann.hand.cards.length).toBe(annCards + game.config.unoPenalty)
+    expect(bot.saidUno).toBe(true)
+    expect(game.unoCatchable).toBe(null)
+})
+
+test('Bots are restored with their strategy', () => {
+    let game = new Game([new DefensiveBot("Bot", 0), new Player("Ann", 1), new RandomBot("Rand", 2)], new Config().setSeed(3))
+    game.start()
+
+    let config = new Config()
+    config.override.classes.Player = BotPlayer
+    let loaded = Game.fromJSON(JSON.stringify(game), config)
+
+    expect(loaded.players[0]).toBeInstanceOf(DefensiveBot)
+    expect(loaded.players[1]).not.toBeInstanceOf(BotPlayer)
+    expect(loaded.players[2]).toBeInstanceOf(RandomBot)
+    expect(loaded.players[0].hand.cards.length).toBe(game.players[0].hand.cards.length)
+})
+
+test('Bots play a seeded game to the end', () => {
+    let play = () => {
+        let game = new Game([new RandomBot("A", 0), new GreedyBot("B", 1), new DefensiveBot("C", 2)], new Config().setSeed("bots"))
+        game.start()
+        for (let i = 0; i < 2000 && game.state !== "FINISHED"; i++) {
+            for (let player of game.players) player.takeTurn(game)
+        }
+        return game
+    }
+
+    let game = play()
+    expect(game.state).toBe("FINISHED")
+    expect(game.winner.hand.cards.length).toBe(0)
+    expect(play().winner.name).toBe(game.winner.name)
+})
@@ -0,0 +1,147 @@
+const { expect, test } = require('@jest/globals')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const { PassThrough } = require('node:stream')
+const { run, parseOptions, createConfig, renderCard } = require('../bin/cli')
+const Replay = require('../src/logic/Replay')
+const Card = require('../src/logic/cards/Card')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+
+/**
+ * Runs the cli with the given input lines and returns the exit code and output
+ */
+async function runCli(argv, lines = []) {
+    let input = new PassThrough()
+    let output = new PassThrough()
+    let text = ""
+    output.on("data", chunk => text += chunk)
+
+    input.end(lines.map(line => `${line}\n`).join(""))
+    let code = await run(argv, { input, output })
+    return { code, text }
+}
+
+test('Parsing options and mapping house rules', () => {
+    let { command, options } = parseOptions(["play", "--players", "4", "--humans", "1", "--seed", "42", "--stack", "--no-challenge", "--rotation", "ccw"])
+    expect(command).toBe("play")
+    expect(options.players).toBe(4)
+    expect(options.humans).toBe(1)
+
+    let config = createConfig(options)
+    expect(config.stackCards).toBe(true)
+    expect(config.challengeWildDrawFour).toBe(false)
+    expect(config.seed).toBe(42)
+    expect(config.defaultRotation).toBe("CCW")
+    expect(config.initialCards).toBe(7)
+    expect(config.drawRule).toBe("PASS")
+    expect(createConfig(parseOptions(["--draw-rule", "play-drawn"]).options).drawRule).toBe("PLAY_DRAWN")
+    expect(createConfig(parseOptions(["--seven-o"]).options).sevenO).toBe(true)
+    expect(createConfig(parseOptions(["--jump-in"]).options).jumpIn).toBe(true)
+    expect(createConfig(parseOptions(["--flip"]).options).variant).toBe("FLIP")
+    expect(() => parseOptions(["--flip", "--deck", "deck.json"])).toThrow("--deck can not be used with --flip")
+    let stacking = createConfig(parseOptions(["--stack-rules", "four-on-two,reverse"]).options)
+    expect(stacking.stackCards).toBe(true)
+    expect(stacking.stacking).toEqual({ sameValue: false, drawTwoOnDrawFour: false, drawFourOnDrawTwo: true, reverse: true, skip: false })
+    expect(() => parseOptions(["--stack-rules", "all"])).toThrow("--stack-rules must be a list of same, two-on-four, four-on-two, reverse, skip")
+    expect(() => parseOptions(["--draw-rule", "never"])).toThrow("--draw-rule must be one of pass, play-drawn, until-playable")
+
+    expect(parseOptions([]).command).toBe("play")
+    expect(() => parseOptions(["--players", "1"])).toThrow("--players must be an integer >= 2")
+    expect(() => parseOptions(["--players", "2", "--humans", "3"])).toThrow("--humans can not be more than --players")
+    expect(() => parseOptions(["--names", "a,b,c"])).toThrow("--names needs one name per player")
+    expect(() => parseOptions(["--bot", "smart"])).toThrow("--bot must be one of random, greedy, defensive")
+    expect(() => parseOptions(["--unknown"])).toThrow()
+})
+
+test('Rendering cards', () => {
+    expect(renderCard(new Card(colors.RED, values.FIVE), false)).toBe("[Red 5]")
+    expect(renderCard(new Card(colors.BLUE, values.DRAW_TWO), false)).toBe("[Blue +2]")
+    expect(renderCard(new Card(colors.BLACK, values.WILD_DRAW_FOUR), false)).toBe("[Wild +4]")
+    expect(renderCard(new Card(colors.GREEN, values.SKIP))).toBe("\x1b[1;32m[Green Skip]\x1b[0m")
+})
+
+test('Computer players finish a game', async () => {
+    let { code, text } = await runCli(["play", "--players", "3", "--humans", "0", "--seed", "3", "--no-color"])
+    expect(code).toBe(0)
+    expect(text).toMatch(/Game over! 1\. Bot \d/)
+})
+
+test('Games are written as replay', async () => {
+    let file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "uno-")), "replay.json")
+    let { code } = await runCli(["play", "--players", "3", "--humans", "0", "--seed", "3", "--jump-in", "--replay", file, "--no-color"])
+    expect(code).toBe(0)
+
+    let replay = new Replay(fs.readFileSync(file, "utf8"))
+    expect(replay.replay.players).toEqual(["Bot 1", "Bot 2", "Bot 3"])
+    expect(replay.verify()).toEqual(expect.objectContaining({ matches: true }))
+    expect(replay.game.state).toBe("FINISHED")
+})
+
+test('Humans can quit, save and resume', async () => {
+    let file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "uno-")), "save.json")
+
+    let { text } = await runCli(["play", "--names", "Ann,Bob", "--bot", "defensive", "--seed", "5", "--save", file, "--no-color"], ["d", "q"])
+    expect(text).toContain("Your hand: 1: [")
+    expect(text).toContain("Game stopped.")
+
+    let save = JSON.parse(fs.readFileSync(file, "utf8"))
+    expect(save.players.map(p => p.name)).toEqual(["Ann", "Bob"])
+    expect(save.players.map(p => p.strategy)).toEqual([undefined, "defensive"])
+
+    let resumed = await runCli(["play", "--load", file, "--no-color"], ["q"])
+    expect(resumed.code).toBe(0)
+    expect(resumed.text).toContain("Game stopped.")
+
+    let help = await runCli(["--help"])
+    expect(help.text).toContain("Usage: uno play")
+    expect((await runCli(["fly"])).code).toBe(1)
+})
+
+test('Unreadable deck recipes and saves are reported', async () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "uno-"))
+    let broken = path.join(dir, "broken.json")
+    fs.writeFileSync(broken, "{")
+
+    let missing = await runCli(["play", "--deck", path.join(dir, "missing.json")])
+    expect(missing.code).toBe(1)
+    expect(missing.text).toContain("ENOENT")
+    expect(missing.text).toContain("Usage: uno play")
+
+    let deck = await runCli(["simulate", "--deck", broken])
+    expect(deck.code).toBe(1)
+    expect(deck.text).toContain("Usage: uno play")
+
+    let save = await runCli(["play", "--load", broken])
+    expect(save.code).toBe(1)
+    expect(save.text).toContain("json is not parsable")
+    expect(save.text).toContain("Usage: uno play")
+
+    let drawTwos = path.join(dir, "drawTwos.json")
+    fs.writeFileSync(drawTwos, JSON.stringify({ RED: { DRAW_TWO: 30 } }))
+    let unstartable = await runCli(["play", "--humans", "0", "--deck", drawTwos])
+    expect(unstartable.code).toBe(1)
+    expect(unstartable.text).toContain("The deck has no card that can start the discard pile")
+    expect(unstartable.text).toContain("Usage: uno play")
+})
+
+test('Humans can take back their move', async () => {
+    let { text } = await runCli(["play", "--seed", "3", "--no-color"], ["5", "z", "z", "q"])
+    expect(text).toContain("Took back: Bot 1 play\nTook back: Player 1 play")
+    expect(text).toContain("Nothing to undo.")
+})
+
+test('Simulating games', async () => {
+    let { code, text } = await runCli(["simulate", "--games", "4", "--bots", "greedy,random", "--seed", "9", "--stack"])
+    expect(code).toBe(0)
+    let report = JSON.parse(text)
+    expect(report.seed).toBe(9)
+    expect(report.variants[0].config.stackCards).toBe(true)
+    expect(report.variants[0].seats.map(s => s.games)).toEqual([4, 4])
+
+    let csv = await runCli(["simulate", "--games", "2", "--players", "3", "--bot", "defensive", "--format", "csv"])
+    expect(csv.text.split("\n")[0]).toMatch(/^variant,type,name,games,wins,winRate/)
+    expect(csv.text).toContain("default,strategy,defensive,6,")
+    expect(() => parseOptions(["simulate", "--format", "xml"])).toThrow("--format must be json or csv")
+})
@@ -0,0 +1,104 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const Color = require('../src/logic/cards/Color')
+const Deck = require('../src/logic/cards/Deck')
+const ContestEvent = require('../src/events/ContestEvent')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+
+/**
+ * Current player plays a Wild Draw Four on a red five while also holding `extra`
+ */
+function playWildDrawFour(game, extra) {
+    game.discardedCards.addCard(new Card(colors.RED, values.FIVE))
+    let player = game.currentPlayer
+    player.hand = new Deck()
+    player.hand.addCard(extra)
+    player.hand.addCard(new Card(colors.GREEN, values.ONE))
+
+    let wild = new Card(colors.BLACK, values.WILD_DRAW_FOUR)
+    wild.wildPickedColor = new Color(colors.BLUE)
+    player.hand.addCard(wild)
+
+    expect(game.play(player, wild)).toBe(true)
+    return player
+}
+
+test('Accepting a Wild Draw Four', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"])
+    game.start()
+
+    let outcomes = []
+    game.eventManager.addEvent(new ContestEvent((victim, player, outcome, penalized, cards) => {
+        outcomes.push({ victim, player, outcome, penalized, cards })
+    }))
+
+    let player = playWildDrawFour(game, new Card(colors.YELLOW, values.TWO))
+    let victim = game.currentPlayer
+    let handSize = victim.hand.cards.length
+
+    expect(game.state).toBe("CONTEST")
+    expect(victim).not.toBe(player)
+
+    // no regular plays while the contest is open
+    expect(game.play(victim, victim.hand.cards[0])).toBe(false)
+    expect(game.accept(game.getNextPlayer())).toBe(false)
+
+    expect(game.accept(victim)).toBe(true)
+    expect(game.state).toBe("PLAYING")
+    expect(victim.hand.cards.length).toBe(handSize + 4)
+    expect(game.currentPlayer).toBe(game.getNextPlayer(game.rotation, victim))
+    expect(outcomes).toEqual([{ victim, player, outcome: "ACCEPTED", penalized: victim, cards: 4 }])
+})
+
+test('Challenging a legal Wild Draw Four', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"])
+    game.start()
+
+    playWildDrawFour(game, new Card(colors.YELLOW, values.FIVE))
+    let victim = game.currentPlayer
+    let handSize = victim.hand.cards.length
+
+    expect(game.challenge(victim)).toBe(true)
+    expect(victim.hand.cards.length).toBe(handSize + 6)
+    expect(game.currentPlayer).not.toBe(victim)
+    expect(game.challenge(victim)).toBe(false)
+})
+
+test('Challenging an illegal Wild Draw Four', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"])
+    game.start()
+
+    let player = playWildDrawFour(game, new Card(colors.RED, values.NINE))
+    let victim = game.currentPlayer
+    let handSize = victim.hand.cards.length
+
+    // the contest survives saving and loading
+    let loaded = Game.fromJSON(JSON.parse(JSON.stringify(game)), new Config())
+    expect(loaded.state).toBe("CONTEST")
+    expect(loaded.contest.hand.length).toBe(2)
+
+    // playing the red card afterwards does not change the verdict
+    player.hand.cards = player.hand.cards.filter(c => c.color.color !== colors.RED)
+
+    expect(game.challenge(victim)).toBe(true)
+    expect(player.hand.cards.length).toBe(1 + 4)
+    expect(victim.hand.cards.length).toBe(handSize)
+    expect(game.currentPlayer).toBe(victim)
+    expect(game.state).toBe("PLAYING")
+})
+
+test('Wild Draw Four without challenges', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"], new Config().setChallengeWildDrawFour(false))
+    game.start()
+
+    let victim = game.getNextPlayer()
+    let handSize = victim.hand.cards.length
+    playWildDrawFour(game, new Card(colors.RED, values.NINE))
+
+    expect(game.state).toBe("PLAYING")
+    expect(victim.hand.cards.length).toBe(handSize + 4)
+    expect(game.currentPlayer).not.toBe(victim)
+})
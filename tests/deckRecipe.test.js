@@ -0,0 +1,129 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const Color = require('../src/logic/cards/Color')
+const Deck = require('../src/logic/cards/Deck')
+const Value = require('../src/logic/cards/Value')
+const extraValues = require('../src/logic/cards/extraValues')
+const cardCounts = require('../src/constants/cardCounts')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+function count(deck, value) {
+    return deck.cards.filter(c => c.value.value === value).length
+}
+
+test('Decks are built from the recipe of the config', () => {
+    let recipe = {
+        ...cardCounts,
+        [colors.RED]: { ...cardCounts[colors.RED], [values.DRAW_TWO]: 4 },
+        [colors.BLACK]: { [values.WILD]: 2 },
+    }
+    let game = new Game(["Player 1", "Player 2"], new Config().setSeed(1).setDeck(recipe))
+    game.start()
+
+    let all = new Deck()
+    all.cards = [...game.decks[0].cards, ...game.discardedCards.cards, ...game.players.flatMap(p => p.hand.cards)]
+    expect(all.cards.length).toBe(108 - 8 + 2 + 2)
+    expect(count(all, values.WILD)).toBe(2)
+    expect(count(all, values.WILD_DRAW_FOUR)).toBe(0)
+    expect(count(all, values.DRAW_TWO)).toBe(10)
+
+    expect(new Deck().insertDefaultCards().cards.length).toBe(108)
+    expect(() => new Deck().insertCards({ [colors.RED]: { [values.ONE]: -1 } })).toThrow("Count of RED ONE must be an integer >= 0")
+    expect(() => new Deck().insertCards({ [colors.RED]: { PLUS_TEN: 1 } })).toThrow("Invalid value: PLUS_TEN")
+})
+
+test('Recipes without a card to start the discard pile are rejected', () => {
+    let game = new Game(["Player 1", "Player 2"], new Config().setSeed(1).setDeck({ [colors.RED]: { [values.DRAW_TWO]: 30 } }))
+    expect(() => game.start()).toThrow(expect.objectContaining({ name: "GameStateError", code: "NO_FIRST_CARD" }))
+    expect(game.state).toBe("NOT_STARTED")
+    expect(game.players.length).toBe(0)
+
+    // every card is dealt, the only number card as well
+    game = new Game(["Player 1", "Player 2"], new Config().setSeed(1).setInitialCards(16).setDeck({ [colors.RED]: { [values.ONE]: 1, [values.DRAW_TWO]: 30 } }))
+    expect(() => game.start()).toThrow("All cards that can start the discard pile were dealt")
+})
+
+test('A registered 5th color can be picked for wild cards', () => {
+    expect(() => new Color("PURPLE")).toThrow("Invalid color: PURPLE")
+    Color.register("PURPLE")
+
+    let game = createTable({ config: new Config().setDeck({ ...cardCounts, PURPLE: cardCounts[colors.RED] }) })
+    let player = game.players[0]
+    expect(game.getPickableColors()).toEqual([colors.RED, colors.GREEN, colors.BLUE, colors.YELLOW, "PURPLE"])
+    expect(game.decks.flatMap(d => d.cards).some(c => c.color.color === "PURPLE")).toBe(true)
+
+    setHand(player, [[colors.BLACK, values.WILD], [colors.BLUE, values.ONE]])
+    expect(game.getLegalActions(player).filter(a => a.type === "PLAY").map(a => a.color)).toContain("PURPLE")
+    expect(game.apply({ type: "PLAY", player: 0, card: player.hand.cards[1], color: "PURPLE" }).success).toBe(true)
+    expect(game.discardedCards.getTopCard().color.color).toBe("PURPLE")
+})
+
+test('Registered values bring points, rules and effects', () => {
+    let played = []
+    expect(() => Value.register(values.SKIP, { points: 1 })).toThrow("SKIP is a standard value")
+    expect(() => Value.register("PLUS_TEN", {})).toThrow("Value type needs points")
+    Value.register("PLUS_TEN", {
+        points: 35,
+        // only on cards of the same color
+        isValidOn: (card, topCard) => card.color.color === topCard.color.color,
+        effect: (game, player, card) => played.push([player.name, card.value.value]),
+    })
+
+    let card = new Card(colors.RED, "PLUS_TEN")
+    expect(card.getPoints()).toBe(35)
+    expect(card.isValidOn(new Card(colors.RED, values.ONE))).toBe(true)
+    expect(card.isValidOn(new Card(colors.BLUE, "PLUS_TEN"))).toBe(false)
+
+    let game = createTable()
+    let player = game.players[0]
+    setHand(player, [[colors.RED, "PLUS_TEN"], [colors.BLUE, values.ONE]])
+    expect(game.play(player, player.hand.cards[1])).toBe(true)
+    expect(played).toEqual([["Player 1", "PLUS_TEN"]])
+})
+
+test('Skip Everyone lets the player go again', () => {
+    let game = createTable()
+    let player = game.players[0]
+    setHand(player, [[colors.RED, extraValues.SKIP_EVERYONE], [colors.BLUE, values.ONE]])
+    let turn = game.turn
+
+    expect(game.play(player, player.hand.cards[1])).toBe(true)
+    expect(game.currentPlayer).toBe(player)
+    expect(game.turn).toBe(turn + 1)
+})
+
+test('Wild Shuffle Hands deals all hands out again', () => {
+    let game = createTable()
+    let [p1, p2, p3] = game.players
+    setHand(p1, [[colors.BLACK, extraValues.WILD_SHUFFLE_HANDS], [colors.BLUE, values.ONE], [colors.BLUE, values.TWO]])
+    setHand(p2, [[colors.GREEN, values.ONE]])
+    let wild = p1.hand.cards[2]
+    let cards = [...p1.hand.cards, ...p2.hand.cards, ...p3.hand.cards].filter(c => c !== wild)
+
+    wild.wildPickedColor = new Color(colors.GREEN)
+    expect(game.play(p1, wild)).toBe(true)
+
+    // 10 cards dealt from the next player on
+    expect(game.players.map(p => p.hand.cards.length)).toEqual([3, 4, 3])
+    expect(game.players.flatMap(p => p.hand.cards).sort((a, b) => cards.indexOf(a) - cards.indexOf(b))).toEqual(cards)
+    expect(game.currentPlayer).toBe(p2)
+})
+
+test('Going out with Wild Shuffle Hands ends the game', () => {
+    let game = createTable()
+    let [p1, p2, p3] = game.players
+    setHand(p1, [[colors.BLACK, extraValues.WILD_SHUFFLE_HANDS]])
+    setHand(p2, [[colors.GREEN, values.ONE], [colors.GREEN, values.TWO]])
+    setHand(p3, [[colors.BLUE, values.ONE]])
+    let wild = p1.hand.cards[0]
+
+    wild.wildPickedColor = new Color(colors.GREEN)
+    expect(game.play(p1, wild)).toBe(true)
+    expect(game.state).toBe("FINISHED")
+    expect(game.winner).toBe(p1)
+    expect(game.players.map(p => p.hand.cards.length)).toEqual([0, 2, 1])
+})
@@ -0,0 +1,98 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const DrawChoiceEvent = require('../src/events/DrawChoiceEvent')
+const GreedyBot = require('../src/logic/players/GreedyBot')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+/**
+ * Game on a red five where the first player holds a blue one and the
+ * draw pile starts with `pile` (top first)
+ */
+function createGame(drawRule, pile) {
+    let game = createTable({ players: ["Player 1", "Player 2"], config: new Config().setSeed(3).setDrawRule(drawRule) })
+    setHand(game.players[0], [[colors.BLUE, values.ONE]])
+    for (let [color, value] of pile.slice().reverse()) game.decks[0].addCard(new Card(color, value))
+
+    let choices = []
+    game.eventManager.addEvent(new DrawChoiceEvent((player, card, choice) => choices.push([card.value.value, choice])))
+    return { game, player: game.players[0], choices }
+}
+
+test('Passing after drawing is the default', () => {
+    let { game, player, choices } = createGame("PASS", [[colors.RED, values.SEVEN]])
+    expect(game.draw(player)).toBe(true)
+    expect(game.currentPlayer).not.toBe(player)
+    expect(choices).toEqual([])
+})
+
+test('Playing the drawn card', () => {
+    let { game, player, choices } = createGame("PLAY_DRAWN", [[colors.RED, values.SEVEN]])
+    expect(game.draw(player)).toBe(true)
+    expect(game.state).toBe("DRAWN")
+    expect(game.currentPlayer).toBe(player)
+    expect(game.drawnCard.value.value).toBe(values.SEVEN)
+
+    // only the drawn card, no second draw
+    expect(game.draw(player)).toBe(false)
+    expect(game.lastRejection.code).toBe("ALREADY_DRAWN")
+    player.hand.addCard(new Card(colors.RED, values.EIGHT))
+    expect(game.play(player, player.hand.cards[0])).toBe(false)
+    expect(game.lastRejection.code).toBe("ONLY_DRAWN_CARD")
+    expect(game.getLegalActions(player).map(a => a.type)).toEqual(["PLAY", "PASS"])
+
+    expect(game.play(player, game.drawnCard)).toBe(true)
+    expect(game.state).toBe("PLAYING")
+    expect(game.drawnCard).toBe(null)
+    expect(game.currentPlayer).not.toBe(player)
+    expect(choices).toEqual([[values.SEVEN, "PLAYED"]])
+})
+
+test('Passing after drawing a playable card', () => {
+    let { game, player, choices } = createGame("PLAY_DRAWN", [[colors.RED, values.SEVEN]])
+    expect(game.pass(player)).toBe(false)
+    expect(game.lastRejection.code).toBe("PASS_NOT_ALLOWED")
+
+    game.draw(player)
+    expect(game.apply({ type: "PASS", player: 0 }).success).toBe(true)
+    expect(game.currentPlayer).not.toBe(player)
+    expect(choices).toEqual([[values.SEVEN, "PASSED"]])
+})
+
+test('An unplayable drawn card passes the turn', () => {
+    let { game, player, choices } = createGame("PLAY_DRAWN", [[colors.GREEN, values.SEVEN]])
+    game.draw(player)
+    expect(game.state).toBe("PLAYING")
+    expect(game.currentPlayer).not.toBe(player)
+    expect(choices).toEqual([[values.SEVEN, "UNPLAYABLE"]])
+})
+
+test('Drawing until a card can be played', () => {
+    let { game, player, choices } = createGame("DRAW_UNTIL_PLAYABLE", [
+        [colors.GREEN, values.SEVEN],
+        [colors.YELLOW, values.TWO],
+        [colors.RED, values.NINE],
+        [colors.GREEN, values.ONE],
+    ])
+    expect(game.draw(player)).toBe(true)
+    expect(player.hand.cards.length).toBe(4)
+    expect(game.drawnCard.value.value).toBe(values.NINE)
+    expect(game.state).toBe("DRAWN")
+
+    let saved = Game.fromJSON(JSON.stringify(game), new Config())
+    expect(saved.state).toBe("DRAWN")
+    expect(saved.drawnCard.value.value).toBe(values.NINE)
+
+    expect(game.play(player, game.drawnCard)).toBe(true)
+    expect(choices).toEqual([[values.NINE, "PLAYED"]])
+})
+
+test('Bots play the drawn card', () => {
+    let game = new Game([new GreedyBot("A", 0), new GreedyBot("B", 1)], new Config().setSeed(8).setDrawRule("PLAY_DRAWN"))
+    game.start()
+    for (let i = 0; i < 2000 && game.state !== "FINISHED"; i++) game.currentPlayer.takeTurn(game)
+    expect(game.state).toBe("FINISHED")
+})
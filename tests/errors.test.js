@@ -0,0 +1,81 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const Deck = require('../src/logic/cards/Deck')
+const errors = require('../src/errors')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+
+/**
+ * Runs fn and returns what it threw
+ */
+function thrown(fn) {
+    try {
+        fn()
+    } catch (error) {
+        return error
+    }
+    throw new Error("Nothing was thrown")
+}
+
+test('Thrown errors have a class and a code', () => {
+    let game = new Game(["Player 1", "Player 2"])
+
+    let error = thrown(() => game.start() || game.start())
+    expect(error).toBeInstanceOf(errors.GameStateError)
+    expect(error).toBeInstanceOf(errors.UnoError)
+    expect(error).toBeInstanceOf(Error)
+    expect(error.code).toBe("GAME_ALREADY_STARTED")
+    expect(error.name).toBe("GameStateError")
+
+    expect(thrown(() => game.draw("Player 1")).code).toBe("INVALID_PLAYER")
+    expect(thrown(() => game.draw(game.players[0], 0))).toBeInstanceOf(errors.InvalidArgumentError)
+    expect(thrown(() => game.play(game.players[0], "card")).code).toBe("INVALID_CARD")
+    expect(thrown(() => new Card("PINK", values.ONE))).toBeInstanceOf(errors.InvalidCardError)
+    expect(thrown(() => new Game([], "config")).code).toBe("INVALID_ARGUMENT")
+    expect(thrown(() => Game.fromJSON("{", new Config())).code).toBe("INVALID_SAVE")
+})
+
+test('Rejected calls remember the reason', () => {
+    let game = new Game(["Player 1", "Player 2"], new Config().setSeed(2))
+    game.start()
+    let player = game.currentPlayer
+    let other = game.getNextPlayer()
+
+    expect(game.draw(other)).toBe(false)
+    expect(game.lastRejection).toBeInstanceOf(errors.NotYourTurnError)
+    expect(game.lastRejection.code).toBe("NOT_YOUR_TURN")
+
+    game.discardedCards.addCard(new Card(colors.RED, values.FIVE))
+    player.hand = new Deck()
+    player.hand.addCard(new Card(colors.BLUE, values.ONE))
+    player.hand.addCard(new Card(colors.BLACK, values.WILD))
+    let [wild, blue] = player.hand.cards
+
+    expect(game.play(player, blue)).toBe(false)
+    expect(game.lastRejection).toBeInstanceOf(errors.IllegalCardError)
+    expect(game.lastRejection.code).toBe("ILLEGAL_CARD")
+    expect(game.play(player, wild)).toBe(false)
+    expect(game.lastRejection.code).toBe("COLOR_REQUIRED")
+    expect(game.play(player, other.hand.cards[0])).toBe(false)
+    expect(game.lastRejection.code).toBe("CARD_NOT_IN_HAND")
+    expect(game.challenge(player)).toBe(false)
+    expect(game.lastRejection.code).toBe("NO_CONTEST")
+
+    expect(game.draw(player)).toBe(true)
+    expect(game.lastRejection).toBe(null)
+})
+
+test('apply never throws', () => {
+    let game = new Game(["Player 1", "Player 2"])
+    let result = game.apply({ type: "DRAW", player: "nobody" })
+    expect(result.success).toBe(false)
+    expect(result.error).toBeInstanceOf(errors.InvalidPlayerError)
+    expect(result.error.code).toBe(result.reason)
+
+    game.start()
+    result = game.apply({ type: "CHALLENGE", player: game.getNextPlayer() })
+    expect(result.error).toBeInstanceOf(errors.NotYourTurnError)
+    expect(result.error.message).toBe("It is not the turn of the player")
+})
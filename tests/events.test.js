@@ -0,0 +1,104 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const Color = require('../src/logic/cards/Color')
+const Deck = require('../src/logic/cards/Deck')
+const DeckReshuffleEvent = require('../src/events/DeckReshuffleEvent')
+const DirectionChangeEvent = require('../src/events/DirectionChangeEvent')
+const GameStartEvent = require('../src/events/GameStartEvent')
+const PlayerChangeEvent = require('../src/events/PlayerChangeEvent')
+const PlayerSkipEvent = require('../src/events/PlayerSkipEvent')
+const StackDrawEvent = require('../src/events/StackDrawEvent')
+const TurnStartEvent = require('../src/events/TurnStartEvent')
+const WildColorPickEvent = require('../src/events/WildColorPickEvent')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+
+/**
+ * Collects the arguments of every fired event of the given classes
+ */
+function record(game, ...eventClasses) {
+    let fired = []
+    for (let EventClass of eventClasses) {
+        game.eventManager.addEvent(new EventClass((...args) => fired.push([EventClass.name, ...args])))
+    }
+    return fired
+}
+
+/**
+ * Gives the current player `card` and plays it on a red five
+ */
+function playOnRedFive(game, card) {
+    game.discardedCards.addCard(new Card(colors.RED, values.FIVE))
+    let player = game.currentPlayer
+    player.hand.addCard(card)
+    expect(game.play(player, card)).toBe(true)
+    return player
+}
+
+test('Game start and turn start', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"])
+    let fired = record(game, GameStartEvent, TurnStartEvent, PlayerChangeEvent)
+    game.start()
+
+    expect(fired.length).toBe(2)
+    let [name, players, hands, firstPlayer, topCard] = fired[0]
+    expect(name).toBe("GameStartEvent")
+    expect(players).toBe(game.players)
+    expect(hands.map(h => h.length)).toEqual([7, 7, 7])
+    expect(hands[0]).toEqual(game.players[0].hand.cards)
+    expect(firstPlayer).toBe(game.currentPlayer)
+    expect(topCard).toBe(game.discardedCards.getTopCard())
+    expect(fired[1]).toEqual(["TurnStartEvent", game.currentPlayer, 1])
+
+    let previous = game.currentPlayer
+    game.setNextPlayer()
+    expect(fired[2]).toEqual(["PlayerChangeEvent", previous, game.currentPlayer])
+    expect(fired[3]).toEqual(["TurnStartEvent", game.currentPlayer, 2])
+    expect(game.turn).toBe(2)
+})
+
+test('Reverse, skip and wild color events', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"])
+    game.start()
+    let fired = record(game, DirectionChangeEvent, PlayerSkipEvent, WildColorPickEvent)
+
+    let rotation = game.rotation
+    playOnRedFive(game, new Card(colors.RED, values.REVERSE))
+    expect(fired).toEqual([["DirectionChangeEvent", game.rotation]])
+    expect(game.rotation).not.toBe(rotation)
+
+    fired.length = 0
+    let skipped = game.getNextPlayer()
+    let player = playOnRedFive(game, new Card(colors.RED, values.SKIP))
+    expect(fired).toEqual([["PlayerSkipEvent", skipped, player]])
+
+    fired.length = 0
+    let wild = new Card(colors.BLACK, values.WILD)
+    wild.wildPickedColor = new Color(colors.GREEN)
+    player = playOnRedFive(game, wild)
+    expect(fired).toEqual([["WildColorPickEvent", player, wild, wild.wildPickedColor]])
+})
+
+test('Stacked draws and reshuffles', () => {
+    let game = new Game(["Player 1", "Player 2"], new Config().setStackCards(true))
+    game.start()
+    let fired = record(game, StackDrawEvent, DeckReshuffleEvent)
+
+    game.getNextPlayer().hand.addCard(new Card(colors.BLUE, values.DRAW_TWO))
+    let card = new Card(colors.RED, values.DRAW_TWO)
+    let player = playOnRedFive(game, card)
+    expect(fired).toEqual([["StackDrawEvent", player, card, 2]])
+    expect(game.state).toBe("STACK_DRAW")
+
+    fired.length = 0
+    let discarded = game.discardedCards.cards.length
+    game.decks = [new Deck()]
+    expect(game.draw(game.currentPlayer)).toBe(true)
+
+    expect(fired.length).toBe(1)
+    expect(fired[0][0]).toBe("DeckReshuffleEvent")
+    expect(fired[0][1]).toBe(game.decks[0])
+    expect(fired[0][2]).toBe(discarded - 1)
+})
@@ -0,0 +1,154 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const Color = require('../src/logic/cards/Color')
+const Deck = require('../src/logic/cards/Deck')
+const FlipCard = require('../src/logic/cards/FlipCard')
+const flipValues = require('../src/logic/cards/flipValues')
+const extraValues = require('../src/logic/cards/extraValues')
+const FlipEvent = require('../src/events/FlipEvent')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+const { PINK, TEAL, ORANGE, PURPLE } = flipValues.colors
+
+/**
+ * @param {[string, string]} light
+ * @param {[string, string]} dark
+ */
+function flipCard([lightColor, lightValue], [darkColor, darkValue], side = "LIGHT") {
+    return new FlipCard({ color: lightColor, value: lightValue }, { color: darkColor, value: darkValue }, side)
+}
+
+/**
+ * Flip table on a red five with a pink two on its back
+ */
+function createGame() {
+    return createTable({ config: new Config().setVariant("FLIP"), top: flipCard([colors.RED, values.FIVE], [PINK, values.TWO]) })
+}
+
+test('Flip decks have 112 double-sided cards', () => {
+    let deck = new Deck().insertFlipCards(() => 0.3)
+    expect(deck.cards.length).toBe(112)
+    expect(deck.cards.every(c => c instanceof FlipCard && c.side === "LIGHT")).toBe(true)
+
+    let light = deck.cards.map(c => c.getFaces().light)
+    let dark = deck.cards.map(c => c.getFaces().dark)
+    expect(light.filter(f => f.value === flipValues.values.DRAW_ONE).length).toBe(8)
+    expect(light.filter(f => f.value === flipValues.values.WILD_DRAW_TWO).length).toBe(4)
+    expect(dark.filter(f => f.value === extraValues.SKIP_EVERYONE).length).toBe(8)
+    expect(dark.filter(f => f.value === flipValues.values.WILD_DRAW_COLOR).length).toBe(4)
+    expect(new Set(dark.map(f => f.color))).toEqual(new Set([PINK, TEAL, ORANGE, PURPLE, colors.BLACK]))
+})
+
+test('Cards are played and shown by their side', () => {
+    let card = flipCard([colors.RED, values.FIVE], [TEAL, flipValues.values.DRAW_FIVE])
+    expect(card.toString()).toBe("RED FIVE (light)")
+    expect(card.isValidOn(flipCard([colors.RED, values.ONE], [PINK, values.ONE]))).toBe(true)
+    expect(card.isValidOn(flipCard([colors.RED, values.ONE], [PINK, values.ONE], "DARK"))).toBe(false)
+
+    card.flip()
+    expect(card.toString()).toBe("TEAL DRAW_FIVE (dark)")
+    expect(card.getPoints()).toBe(20)
+    expect(card.isValidOn(flipCard([colors.BLUE, values.ONE], [TEAL, values.ONE], "DARK"))).toBe(true)
+
+    let json = JSON.parse(JSON.stringify(card))
+    expect(json).toEqual(expect.objectContaining({ color: TEAL, value: "DRAW_FIVE", side: "DARK" }))
+    let restored = Card.fromJSON(json)
+    expect(restored).toBeInstanceOf(FlipCard)
+    expect(restored.flip().toString()).toBe("RED FIVE (light)")
+})
+
+test('A Flip card turns all cards over', () => {
+    let game = createGame()
+    let [p1, p2] = game.players
+    let flips = []
+    game.eventManager.addEvent(new FlipEvent((player, card, side) => flips.push([player.name, side])))
+    let flip = flipCard([colors.RED, flipValues.values.FLIP], [ORANGE, values.SEVEN])
+    setHand(p1, [flip, flipCard([colors.BLUE, values.ONE], [PURPLE, values.THREE])])
+    let bottom = game.discardedCards.cards[game.discardedCards.cards.length - 1]
+    let deckTop = game.decks[0].cards[game.decks[0].cards.length - 1]
+
+    expect(game.play(p1, flip)).toBe(true)
+    expect(flips).toEqual([["Player 1", "DARK"]])
+    expect(game.side).toBe("DARK")
+    expect(p1.hand.cards.map(String)).toEqual(["PURPLE THREE (dark)"])
+    expect(p2.hand.cards.every(c => c.side === "DARK")).toBe(true)
+    // piles are turned as a whole
+    expect(game.discardedCards.getTopCard()).toBe(bottom)
+    expect(game.decks[0].getTopCard()).toBe(deckTop)
+    expect(game.getPickableColors()).toEqual([PINK, TEAL, ORANGE, PURPLE])
+    expect(game.getView(p2).side).toBe("DARK")
+    expect(game.currentPlayer).toBe(p2)
+})
+
+test('A Flip card with a 7 or 0 on its back swaps no hands with Seven-O', () => {
+    let game = createTable({ config: new Config().setVariant("FLIP").setSevenO(true), top: flipCard([colors.RED, values.FIVE], [PINK, values.TWO]) })
+    let [p1, p2] = game.players
+    let zeroBehind = flipCard([colors.RED, flipValues.values.FLIP], [PINK, values.ZERO])
+    let sevenBehind = flipCard([colors.RED, values.SEVEN], [ORANGE, flipValues.values.FLIP])
+    setHand(p1, [zeroBehind, flipCard([colors.BLUE, values.ONE], [PURPLE, values.THREE]), sevenBehind])
+    let hands = game.players.map(p => p.hand)
+
+    expect(game.play(p1, zeroBehind)).toBe(true)
+    expect(zeroBehind.toString()).toBe("PINK ZERO (dark)")
+    expect(game.players.every((p, i) => p.hand === hands[i])).toBe(true)
+
+    game.currentPlayer = p1
+    game.discardedCards.addCard(flipCard([colors.RED, values.ONE], [ORANGE, values.ONE], "DARK"))
+    expect(game.play(p1, sevenBehind)).toBe(true)
+    expect(sevenBehind.toString()).toBe("RED SEVEN (light)")
+    expect(game.players.every((p, i) => p.hand === hands[i])).toBe(true)
+    expect(game.currentPlayer).toBe(p2)
+})
+
+test('Draw cards of both sides', () => {
+    let game = createGame()
+    let [p1, p2, p3] = game.players
+    setHand(p1, [flipCard([colors.RED, flipValues.values.DRAW_ONE], [PINK, values.ONE]), flipCard([colors.BLUE, values.ONE], [PURPLE, values.THREE])])
+    expect(game.play(p1, p1.hand.cards[1])).toBe(true)
+    expect(p2.hand.cards.length).toBe(8)
+    expect(game.currentPlayer).toBe(p3)
+
+    game.flip(p3, null)
+    setHand(p3, [flipCard([colors.RED, values.ONE], [colors.BLACK, flipValues.values.WILD_DRAW_COLOR], "DARK"), flipCard([colors.BLUE, values.ONE], [PURPLE, values.THREE], "DARK")])
+    setHand(p1, [])
+    game.decks[0].cards.unshift(
+        flipCard([colors.RED, values.ONE], [PINK, values.ONE], "DARK"),
+        flipCard([colors.RED, values.TWO], [colors.BLACK, values.WILD], "DARK"),
+        flipCard([colors.RED, values.THREE], [TEAL, values.ONE], "DARK"),
+        flipCard([colors.RED, values.FOUR], [TEAL, values.TWO], "DARK")
+    )
+    let wild = p3.hand.cards[1]
+    wild.wildPickedColor = new Color(TEAL, flipValues.variant)
+    expect(game.play(p3, wild)).toBe(true)
+    // a wild face does not count as the color
+    expect(p1.hand.cards.map(c => c.value.value)).toEqual([values.ONE, values.WILD, values.ONE])
+    expect(game.currentPlayer).toBe(p2)
+})
+
+test('Flip games are saved with their side', () => {
+    let game = createGame()
+    game.flip(game.players[0], null)
+    let restored = Game.fromJSON(JSON.stringify(game), new Config())
+    expect(restored.side).toBe("DARK")
+    expect(restored.config.variant).toBe("FLIP")
+    expect(restored.players[1].hand.cards.map(String)).toEqual(game.players[1].hand.cards.map(String))
+    expect(restored.players[1].hand.cards[0].flip().side).toBe("LIGHT")
+})
+
+test('Flip colors and values stay out of classic games', () => {
+    let flip = createGame()
+    expect(flip.apply({ type: "DRAW", player: 0 }).success).toBe(true)
+
+    expect(() => new Color(PINK)).toThrow("Invalid color: PINK")
+    expect(() => new Card(colors.RED, flipValues.values.DRAW_ONE)).toThrow("Invalid value: DRAW_ONE")
+    expect(() => Card.fromJSON({ color: TEAL, value: values.ONE, wild: false })).toThrow("Invalid color: TEAL")
+    expect(Card.fromJSON({ color: TEAL, value: values.ONE, wild: false }, flipValues.variant).color.color).toBe(TEAL)
+
+    let recipe = { [PINK]: { [values.ONE]: 2 } }
+    let classic = new Game(["Player 1", "Player 2"], new Config().setSeed(8).setDeck(recipe))
+    expect(() => classic.start()).toThrow("Invalid color: PINK")
+})
@@ -0,0 +1,70 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const Deck = require('../src/logic/cards/Deck')
+const GameEndEvent = require('../src/events/GameEndEvent')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+
+/**
+ * Gives the player a single card that is playable on a fresh red five
+ */
+function prepareLastCard(game, player) {
+    game.discardedCards.addCard(new Card(colors.RED, values.FIVE))
+    player.hand = new Deck()
+    let card = new Card(colors.RED, values.ONE)
+    player.hand.addCard(card)
+    return card
+}
+
+test('Game ends when a player empties their hand', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"])
+    game.start()
+
+    let ended = []
+    game.eventManager.addEvent(new GameEndEvent((winner, finishOrder) => {
+        ended.push({ winner, finishOrder })
+    }))
+
+    let player = game.currentPlayer
+    let card = prepareLastCard(game, player)
+
+    expect(game.play(player, card)).toBe(true)
+    expect(game.state).toBe("FINISHED")
+    expect(game.winner).toBe(player)
+    expect(game.finishOrder).toEqual([player])
+    expect(game.currentPlayer).toBe(player)
+
+    expect(ended.length).toBe(1)
+    expect(ended[0].winner).toBe(player)
+
+    expect(() => game.play(player, card)).toThrow("Game already finished")
+    expect(() => game.draw(game.getNextPlayer())).toThrow("Game already finished")
+})
+
+test('Multiple places are recorded before the game ends', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"], new Config().setPlacesToFinish(2))
+    game.start()
+
+    let first = game.currentPlayer
+    expect(game.play(first, prepareLastCard(game, first))).toBe(true)
+    expect(game.state).toBe("PLAYING")
+    expect(game.winner).toBe(first)
+    expect(game.hasFinished(first)).toBe(true)
+
+    // the finished player is skipped in the turn order
+    for (let i = 0; i < game.players.length * 2; i++) {
+        expect(game.getNextPlayer()).not.toBe(first)
+        game.setNextPlayer(true)
+    }
+
+    let second = game.currentPlayer
+    expect(game.play(second, prepareLastCard(game, second))).toBe(true)
+    expect(game.state).toBe("FINISHED")
+    expect(game.finishOrder).toEqual([first, second])
+
+    let loaded = Game.fromJSON(JSON.parse(JSON.stringify(game)), new Config())
+    expect(loaded.winner.name).toBe(first.name)
+    expect(loaded.finishOrder.map(p => p.name)).toEqual([first.name, second.name])
+})
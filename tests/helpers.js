@@ -0,0 +1,31 @@
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const Deck = require('../src/logic/cards/Deck')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+
+/**
+ * Gives the player exactly these cards, as cards or [color, value] pairs.
+ * They are added one after another, so the last one is first in the hand.
+ */
+function setHand(player, cards) {
+    player.hand = new Deck()
+    for (let card of cards) player.hand.addCard(card instanceof Card ? card : new Card(...card))
+}
+
+/**
+ * Started game on a known table: the first player is on turn, play goes
+ * clockwise and `top` lies on the discard pile. Games are seeded with 1
+ * unless the config has a seed.
+ */
+function createTable({ players = ["Player 1", "Player 2", "Player 3"], config = new Config(), top = new Card(colors.RED, values.FIVE) } = {}) {
+    let game = new Game(players, config.seed === null ? config.setSeed(1) : config)
+    game.start()
+    game.currentPlayer = game.players[0]
+    game.rotation = "CW"
+    game.discardedCards.addCard(top)
+    return game
+}
+
+module.exports = { setHand, createTable }
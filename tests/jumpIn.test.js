@@ -0,0 +1,118 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Card = require('../src/logic/cards/Card')
+const JumpInEvent = require('../src/events/JumpInEvent')
+const TurnStartEvent = require('../src/events/TurnStartEvent')
+const GreedyBot = require('../src/logic/players/GreedyBot')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+/**
+ * Four players on a red `top`, everyone holds a copy of it
+ */
+function createGame(top, config = new Config()) {
+    let players = ["Player 1", "Player 2", "Player 3", "Player 4"]
+    let game = createTable({ players, config: config.setJumpIn(true), top: new Card(colors.RED, top) })
+    for (let player of game.players) setHand(player, [[colors.RED, top], [colors.BLUE, values.ONE]])
+    return game
+}
+
+test('Cards are equal by color and value', () => {
+    expect(new Card(colors.RED, values.FIVE).equals(new Card(colors.RED, values.FIVE))).toBe(true)
+    expect(new Card(colors.RED, values.FIVE).equals(new Card(colors.BLUE, values.FIVE))).toBe(false)
+    expect(new Card(colors.RED, values.FIVE).equals(new Card(colors.RED, values.SIX))).toBe(false)
+    expect(new Card(colors.RED, values.FIVE).equals(null)).toBe(false)
+})
+
+test('Only an exact copy of the top card can be played out of turn', () => {
+    let game = createGame(values.FIVE)
+    let [p1, p2, p3] = game.players
+    let jumps = []
+    game.eventManager.addEvent(new JumpInEvent((player, card, previous, turn) => jumps.push([player.name, previous.name, turn])))
+
+    expect(game.play(p3, p3.hand.cards[0])).toBe(false)
+    expect(game.lastRejection.code).toBe("NOT_YOUR_TURN")
+
+    let turn = game.turn
+    expect(game.play(p3, p3.hand.cards[1])).toBe(true)
+    expect(jumps).toEqual([["Player 3", "Player 1", turn]])
+    expect(game.currentPlayer).toBe(game.players[3])
+    expect(game.turn).toBe(turn + 1)
+
+    game.config.setJumpIn(false)
+    expect(game.play(p2, p2.hand.cards[1])).toBe(false)
+    expect(game.lastRejection.code).toBe("NOT_YOUR_TURN")
+    expect(p1.hand.cards.length).toBe(2)
+})
+
+test('Skip and Reverse count from the player jumping in', () => {
+    let game = createGame(values.SKIP)
+    expect(game.play(game.players[1], game.players[1].hand.cards[1])).toBe(true)
+    // Player 3 is skipped
+    expect(game.currentPlayer).toBe(game.players[3])
+
+    game = createGame(values.REVERSE)
+    expect(game.play(game.players[2], game.players[2].hand.cards[1])).toBe(true)
+    expect(game.rotation).toBe("CCW")
+    expect(game.currentPlayer).toBe(game.players[1])
+})
+
+test('No jump-in while a draw or decision is pending', () => {
+    let game = createGame(values.FIVE, new Config().setDrawRule("PLAY_DRAWN"))
+    let p2 = game.players[1]
+    game.decks[0].addCard(new Card(colors.RED, values.NINE))
+    expect(game.draw(game.players[0])).toBe(true)
+    expect(game.state).toBe("DRAWN")
+    expect(game.play(p2, p2.hand.cards[1])).toBe(false)
+    expect(game.getLegalActions(p2).filter(a => a.type === "JUMP_IN")).toEqual([])
+})
+
+test('Only the first of simultaneous jump-ins counts', () => {
+    let game = createGame(values.FIVE)
+    let [, p2, p3, p4] = game.players
+    let turn = game.turn
+
+    expect(game.jumpIn(p4, p4.hand.cards[1], turn)).toBe(true)
+    expect(game.jumpIn(p2, p2.hand.cards[1], turn)).toBe(false)
+    expect(game.lastRejection.code).toBe("JUMP_IN_TOO_LATE")
+    expect(p2.hand.cards.length).toBe(2)
+
+    // jumping in on the jump-in
+    let action = game.getLegalActions(p3).find(a => a.type === "JUMP_IN")
+    expect(action).toEqual({ type: "JUMP_IN", player: 2, card: p3.hand.cards[1], turn: turn + 1 })
+    expect(game.apply({ ...action, turn })).toEqual(expect.objectContaining({ success: false, reason: "JUMP_IN_TOO_LATE" }))
+    expect(game.apply(action).success).toBe(true)
+    expect(game.currentPlayer).toBe(p4)
+})
+
+test('Jump-ins from async listeners are served in order', async () => {
+    let game = createGame(values.FIVE, new Config().setEventMode("sequential"))
+    await game.eventManager.flush()
+    let [p1, p2, p3] = game.players
+    let results = []
+
+    setHand(p1, [[colors.RED, values.FIVE], [colors.BLUE, values.ONE]])
+    game.discardedCards.addCard(new Card(colors.RED, values.SIX))
+    // both react to the same turn, the listener of Player 2 runs first
+    for (let player of [p2, p3]) {
+        game.eventManager.addEvent(new TurnStartEvent((current, turn) => {
+            results.push([player.name, game.jumpIn(player, player.hand.cards[1], turn)])
+        }, true))
+    }
+    expect(game.play(p1, p1.hand.cards[1])).toBe(true)
+    await game.eventManager.flush()
+    expect(results).toEqual([["Player 2", true], ["Player 3", false]])
+    expect(game.currentPlayer).toBe(game.players[2])
+})
+
+test('Bots jump in out of turn', () => {
+    let bot = new GreedyBot("Bot", 2)
+    let game = createTable({ players: ["Player 1", "Player 2", bot], config: new Config().setJumpIn(true), top: new Card(colors.GREEN, values.THREE) })
+    setHand(bot, [[colors.GREEN, values.THREE], [colors.BLUE, values.ONE]])
+
+    expect(bot.takeTurn(game)).toBe(true)
+    expect(bot.hand.cards.length).toBe(1)
+    expect(bot.saidUno).toBe(true)
+    expect(game.currentPlayer).toBe(game.players[0])
+})
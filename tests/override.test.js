@@ -0,0 +1,36 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Deck = require('../src/logic/cards/Deck')
+const Player = require('../src/logic/players/Player')
+
+class ComputerPlayer extends Player { }
+class CountingDeck extends Deck { }
+
+test('Class overrides only affect their own game', () => {
+    let config = new Config()
+    config.override.classes.Player = ComputerPlayer
+    config.override.classes.Deck = CountingDeck
+
+    let custom = new Game(["Computer 1", "Computer 2"], config)
+    let plain = new Game(["Player 1", "Player 2"], new Config())
+    custom.start()
+    plain.start()
+
+    for (let player of custom.players) expect(player).toBeInstanceOf(ComputerPlayer)
+    for (let player of plain.players) expect(player).not.toBeInstanceOf(ComputerPlayer)
+    expect(custom.decks[0]).toBeInstanceOf(CountingDeck)
+    expect(custom.discardedCards).toBeInstanceOf(CountingDeck)
+    expect(plain.decks[0]).not.toBeInstanceOf(CountingDeck)
+
+    // the plain game still accepts its own players
+    expect(plain.draw(plain.currentPlayer)).toBe(true)
+
+    let loadedPlain = Game.fromJSON(plain.toJSON(), new Config())
+    for (let player of loadedPlain.players) expect(player).not.toBeInstanceOf(ComputerPlayer)
+
+    let loadedCustom = Game.fromJSON(custom.toJSON(), config)
+    for (let player of loadedCustom.players) expect(player).toBeInstanceOf(ComputerPlayer)
+    expect(loadedCustom.decks[0]).toBeInstanceOf(CountingDeck)
+    expect(loadedCustom.discardedCards).toBeInstanceOf(CountingDeck)
+})
@@ -0,0 +1,109 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Replay = require('../src/logic/Replay')
+const RandomBot = require('../src/logic/players/RandomBot')
+const GreedyBot = require('../src/logic/players/GreedyBot')
+const DefensiveBot = require('../src/logic/players/DefensiveBot')
+
+const handsOf = game => game.players.map(p => p.hand.cards.map(String))
+
+/**
+ * Bot game played to the end. `states` holds the hands after every move by
+ * the number of recorded actions.
+ */
+function playBots(config) {
+    let bots = [new RandomBot("Random", 0), new GreedyBot("Greedy", 1), new DefensiveBot("Defensive", 2)]
+    let game = new Game(bots, config.setSeed(11))
+    game.start()
+    let states = new Map()
+    for (let moves = 0; game.state !== "FINISHED" && moves < 2000; moves++) {
+        game.currentPlayer.takeTurn(game)
+        for (let bot of bots) if (game.state !== "FINISHED" && bot !== game.currentPlayer) bot.takeTurn(game)
+        states.set(game.history().length, handsOf(game))
+    }
+    return { game, states }
+}
+
+test('A replay reproduces every state of a bot game', () => {
+    let { game, states } = playBots(new Config().setJumpIn(true).setSevenO(true).setUndoLimit(0))
+    expect(game.state).toBe("FINISHED")
+
+    let json = game.toReplay()
+    expect(json).toEqual(expect.objectContaining({ replayVersion: 1, seed: game.random.seed, players: ["Random", "Greedy", "Defensive"] }))
+    expect(json.actions.length).toBe(game.history().length)
+
+    let replay = new Replay(JSON.stringify(json))
+    expect(replay.length).toBe(json.actions.length)
+    for (let [position, hands] of [...states].filter((_, i) => i % 10 === 0)) {
+        replay.seek(position)
+        expect(handsOf(replay.game)).toEqual(hands)
+    }
+
+    let result = replay.verify()
+    expect(result.matches).toBe(true)
+    expect(result.actual).toEqual({
+        state: "FINISHED",
+        turn: game.turn,
+        winner: game.players.indexOf(game.winner),
+        finishOrder: game.finishOrder.map(p => game.players.indexOf(p)),
+        handSizes: game.players.map(p => p.hand.cards.length),
+        topCard: game.discardedCards.getTopCard().toString(),
+    })
+    expect(JSON.stringify(Replay.fromJSON(replay.toJSON()).toJSON())).toBe(JSON.stringify(json))
+})
+
+test('Stepping, going back and seeking turns', () => {
+    let { game } = playBots(new Config().setUndoLimit(0))
+    let replay = new Replay(game.toReplay())
+    let start = handsOf(replay.game)
+
+    expect(replay.back()).toBe(false)
+    expect(replay.step()).toBe(true)
+    expect(replay.position).toBe(1)
+    expect(replay.back()).toBe(true)
+    expect(replay.position).toBe(0)
+    expect(handsOf(replay.game)).toEqual(start)
+
+    expect(replay.seekTurn(5)).toBe(true)
+    expect(replay.game.turn).toBe(5)
+    let position = replay.position
+    replay.back()
+    expect(replay.game.turn).toBe(4)
+    expect(replay.seekTurn(5)).toBe(true)
+    expect(replay.position).toBe(position)
+
+    expect(replay.seekTurn(game.turn + 1)).toBe(false)
+    expect(replay.position).toBe(replay.length)
+    expect(replay.step()).toBe(false)
+    expect(() => replay.seek(replay.length + 1)).toThrow("Position must be an integer from 0 to")
+})
+
+test('Changed replays are detected', () => {
+    let { game } = playBots(new Config().setUndoLimit(0))
+    let json = game.toReplay()
+
+    let outcome = { ...json.outcome, winner: (json.outcome.winner + 1) % 3 }
+    let result = new Replay({ ...json, outcome }).verify()
+    expect(result.matches).toBe(false)
+    expect(result.expected.winner).not.toBe(result.actual.winner)
+
+    // the first player plays a card they do not have
+    let actions = json.actions.slice()
+    actions[0] = ["PLAY", actions[0][1], actions[0][2], 50]
+    let replay = new Replay({ ...json, actions })
+    expect(() => replay.step()).toThrow(expect.objectContaining({ code: "REPLAY_DIVERGED" }))
+
+    expect(() => new Replay({ ...json, replayVersion: 2 })).toThrow("Replay format 2 is not supported")
+    expect(() => new Replay("{")).toThrow("Replay is not parsable")
+    expect(() => new Replay({ ...json, actions: undefined })).toThrow("Replay actions is missing")
+})
+
+test('Only started games with a seed can be replayed', () => {
+    let game = new Game(["Player 1", "Player 2"], new Config().setSeed(1))
+    expect(() => game.toReplay()).toThrow("Game not started")
+
+    game = new Game(["Player 1", "Player 2"], new Config().setRandom(Math.random))
+    game.start()
+    expect(() => game.toReplay()).toThrow(expect.objectContaining({ code: "NOT_REPLAYABLE" }))
+})
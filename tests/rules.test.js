@@ -0,0 +1,103 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Rules = require('../src/logic/Rules')
+const Value = require('../src/logic/cards/Value')
+const PlayerSkipEvent = require('../src/events/PlayerSkipEvent')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+test('Standard values have rules', () => {
+    for (let value of [values.SKIP, values.REVERSE, values.DRAW_TWO, values.WILD_DRAW_FOUR]) {
+        expect(typeof Rules.get(value)).toBe("function")
+    }
+    expect(Rules.get(values.FIVE)).toBe(null)
+    expect(() => Rules.register("PLUS_HUNDRED", () => { })).toThrow("Invalid value: PLUS_HUNDRED")
+    expect(() => Rules.register(values.SKIP, "skip")).toThrow("Rule handler must be a function")
+})
+
+test('A game can change the rule of one value', () => {
+    let config = new Config()
+    // a Skip skips two players
+    config.override.rules[values.SKIP] = rules => {
+        rules.skip()
+        rules.skip()
+    }
+    let game = createTable({ config })
+    let [p1, p2, p3] = game.players
+    let skipped = []
+    game.eventManager.addEvent(new PlayerSkipEvent(player => skipped.push(player.name)))
+
+    setHand(p1, [[colors.RED, values.SKIP], [colors.RED, values.DRAW_TWO], [colors.BLUE, values.ONE]])
+    expect(game.play(p1, p1.hand.cards[2])).toBe(true)
+    expect(skipped).toEqual(["Player 2", "Player 3"])
+    expect(game.currentPlayer).toBe(p1)
+
+    // other values keep their rules
+    let handSize = p2.hand.cards.length
+    expect(game.play(p1, p1.hand.cards[1])).toBe(true)
+    expect(p2.hand.cards.length).toBe(handSize + 2)
+    expect(game.currentPlayer).toBe(p3)
+
+    // other games are not affected
+    let plain = createTable()
+    setHand(plain.players[0], [[colors.RED, values.SKIP], [colors.BLUE, values.ONE]])
+    expect(plain.play(plain.players[0], plain.players[0].hand.cards[1])).toBe(true)
+    expect(plain.currentPlayer).toBe(plain.players[2])
+})
+
+test('Rules can draw, reverse and change the state', () => {
+    Value.register("DRAW_TEN", { points: 50 })
+    let seen = []
+    Rules.register("DRAW_TEN", (rules, player, card) => {
+        seen.push([player.name, card.value.value, rules.card === card])
+        rules.flipDirection()
+        rules.forceDraw(rules.nextPlayer(), 10)
+        expect(() => rules.setState("FINISHED")).toThrow("State must be one of PLAYING, STACK_DRAW, CONTEST")
+    })
+    let game = createTable()
+    let [p1, , p3] = game.players
+    setHand(p1, [[colors.RED, "DRAW_TEN"], [colors.BLUE, values.ONE]])
+
+    expect(game.play(p1, p1.hand.cards[1])).toBe(true)
+    expect(seen).toEqual([["Player 1", "DRAW_TEN", true]])
+    expect(game.rotation).toBe("CCW")
+    // the turn was not advanced, so Player 3 draws and plays next
+    expect(p3.hand.cards.length).toBe(17)
+    expect(game.currentPlayer).toBe(p3)
+})
+
+test('Rules can deal hands out again', () => {
+    let config = new Config()
+    // a Skip lets the other players pool their cards
+    config.override.rules[values.SKIP] = (rules, player) => {
+        let others = rules.game.players.filter(p => p !== player)
+        rules.dealHands(others, others.flatMap(p => p.hand.cards))
+    }
+    let game = createTable({ config })
+    let [p1, p2, p3] = game.players
+    setHand(p1, [[colors.BLUE, values.ONE], [colors.RED, values.SKIP]])
+    setHand(p2, [[colors.GREEN, values.ONE], [colors.GREEN, values.TWO], [colors.GREEN, values.THREE]])
+    setHand(p3, [[colors.BLUE, values.TWO]])
+    p3.saidUno = true
+
+    expect(game.play(p1, p1.hand.cards[0])).toBe(true)
+    expect(p1.hand.cards.map(String)).toEqual(["BLUE ONE"])
+    expect(game.unoCatchable).toBe(null)
+    expect(p2.hand.cards.length).toBe(2)
+    expect(p3.hand.cards.length).toBe(2)
+    expect(p3.saidUno).toBe(false)
+})
+
+test('The gameLogic override replaces all rules and gets the game', () => {
+    let calls = []
+    let config = new Config()
+    config.override.functions.gameLogic = (player, card, game) => calls.push([player.name, card.value.value, game.state])
+    let game = createTable({ config })
+    let p1 = game.players[0]
+    setHand(p1, [[colors.RED, values.SKIP], [colors.BLUE, values.ONE]])
+
+    expect(game.play(p1, p1.hand.cards[1])).toBe(true)
+    expect(calls).toEqual([["Player 1", values.SKIP, "PLAYING"]])
+    expect(game.currentPlayer).toBe(game.players[1])
+})
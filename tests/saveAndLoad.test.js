@@ -1,9 +1,13 @@
 const { expect, test } = require('@jest/globals')
 const Config = require('../src/Config')
 const Card = require('../src/logic/cards/Card')
+const Color = require('../src/logic/cards/Color')
 const Deck = require('../src/logic/cards/Deck')
 const Game = require('../src/logic/Game')
 const Player = require('../src/logic/players/Player')
+const SaveFormat = require('../src/logic/SaveFormat')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
 
 
 let saved = ""
@@ -42,3 +46,127 @@ test('Saving and loading', () => {
         expect(player.hand.cards.length).toBe(10)
     }
 })
+
+/**
+ * Plays `turns` turns with the first playable card (or a draw) on the given game
+ */
+function playTurns(game, turns) {
+    for (let i = 0; i < turns && game.state === "PLAYING"; i++) {
+        let player = game.currentPlayer
+        let card = player.getPlayableCards(game.discardedCards.getTopCard())[0]
+        if (card && card.wild) card.wildPickedColor = new Color(colors.GREEN)
+        if (!card || !game.play(player, card)) game.draw(player)
+    }
+}
+
+test('Saving and loading is lossless', () => {
+    let config = new Config()
+        .setStackCards(true)
+        .setSeed(99)
+        .setChallengeWildDrawFour(false)
+
+    let game = new Game(["Player 1", "Player 2", "Player 3"], config)
+    game.start()
+    game.stackDrawAmount = 4
+    playTurns(game, 5)
+
+    let loaded = Game.fromJSON(JSON.stringify(game), new Config())
+
+    expect(loaded.toJSON()).toEqual(game.toJSON())
+    expect(loaded.toJSON().formatVersion).toBe(SaveFormat.FORMAT_VERSION)
+    expect(loaded.players).toContain(loaded.currentPlayer)
+    expect(loaded.stackDrawAmount).toBe(4)
+    expect(loaded.config.stackCards).toBe(true)
+    expect(loaded.config.seed).toBe(99)
+
+    // a resumed game continues exactly like the original
+    playTurns(game, 20)
+    playTurns(loaded, 20)
+    expect(loaded.toJSON()).toEqual(game.toJSON())
+})
+
+test('Played wild cards keep their picked color', () => {
+    let game = new Game(["Player 1", "Player 2"], new Config())
+    game.start()
+
+    let wild = new Card(colors.BLACK, values.WILD)
+    wild.wildPickedColor = new Color(colors.BLUE)
+    game.currentPlayer.hand.addCard(wild)
+    expect(game.play(game.currentPlayer, wild)).toBe(true)
+
+    let loaded = Game.fromJSON(game.toJSON(), new Config())
+    let top = loaded.discardedCards.getTopCard()
+    expect(top.wild).toBe(true)
+    expect(top.color.color).toBe(colors.BLUE)
+    expect(top.wildPickedColor.color).toBe(colors.BLUE)
+    expect(new Card(colors.BLUE, values.ONE).isValidOn(top, true)).toBe(true)
+    expect(new Card(colors.RED, values.ONE).isValidOn(top, true)).toBe(false)
+
+    top.resetWild()
+    expect(top.color.color).toBe(colors.BLACK)
+    expect(top.wildPickedColor.color).toBe(colors.BLACK)
+})
+
+test('Custom player classes survive loading', () => {
+    class NamedPlayer extends Player {
+        constructor(name, id) {
+            super(name, id)
+            this.title = "Sir"
+        }
+
+        toJSON() {
+            return { ...super.toJSON(), title: this.title }
+        }
+
+        static fromJSON(json) {
+            let player = super.fromJSON(json)
+            player.title = json.title
+            return player
+        }
+    }
+
+    let config = new Config()
+    config.override.classes.Player = NamedPlayer
+
+    let game = new Game(["Player 1", "Player 2"], config)
+    game.start()
+    game.players[1].title = "Lady"
+
+    let loaded = Game.fromJSON(JSON.stringify(game), config)
+    expect(loaded.players[0]).toBeInstanceOf(NamedPlayer)
+    expect(loaded.players[1].title).toBe("Lady")
+    expect(loaded.currentPlayer).toBeInstanceOf(NamedPlayer)
+})
+
+test('Old saves are migrated', () => {
+    let game = new Game(["Player 1", "Player 2"], new Config())
+    game.start()
+
+    let old = game.toJSON()
+    delete old.formatVersion
+    delete old.stackDrawAmount
+    old.currentPlayer = game.currentPlayer.toJSON()
+    for (let key of ["turn", "drawnCard", "side", "history"]) delete old[key]
+
+    let loaded = Game.fromJSON(old, new Config())
+    expect(loaded.currentPlayer).toBe(loaded.players[game.players.indexOf(game.currentPlayer)])
+    expect(loaded.stackDrawAmount).toBe(0)
+    expect(loaded.turn).toBe(1)
+    expect(loaded.side).toBe("LIGHT")
+    expect(loaded.history()).toEqual([])
+    expect(loaded.toJSON().formatVersion).toBe(2)
+
+    let firstFormat = { ...game.toJSON(), formatVersion: 1 }
+    for (let key of ["turn", "drawnCard", "side", "history"]) delete firstFormat[key]
+    loaded = Game.fromJSON(firstFormat, new Config())
+    expect(loaded.turn).toBe(1)
+    expect(loaded.drawnCard).toBe(null)
+    expect(loaded.draw(loaded.currentPlayer)).toBe(true)
+
+    expect(() => Game.fromJSON({ ...game.toJSON(), formatVersion: SaveFormat.FORMAT_VERSION + 1 }, new Config()))
+        .toThrow("is newer than the supported format")
+
+    SaveFormat.addMigration(SaveFormat.FORMAT_VERSION + 1, json => json)
+    expect(() => SaveFormat.addMigration(0, "nope")).toThrow("Migration must be a function")
+    delete SaveFormat.migrations[SaveFormat.FORMAT_VERSION + 1]
+})
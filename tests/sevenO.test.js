@@ -0,0 +1,96 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const HandSwapEvent = require('../src/events/HandSwapEvent')
+const GreedyBot = require('../src/logic/players/GreedyBot')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+/**
+ * Seven-O table that records the hand swaps
+ */
+function createGame(players) {
+    let game = createTable({ players, config: new Config().setSevenO(true) })
+    let swaps = []
+    game.eventManager.addEvent(new HandSwapEvent((player, card, moves) => swaps.push(moves.map(m => [m.from.name, m.to.name]))))
+    return { game, swaps }
+}
+
+test('A 7 swaps hands with the chosen player', () => {
+    let { game, swaps } = createGame()
+    let [p1, p2, p3] = game.players
+    setHand(p1, [[colors.RED, values.SEVEN], [colors.BLUE, values.ONE]])
+    let p3Hand = p3.hand
+
+    expect(game.play(p1, p1.hand.cards[1])).toBe(false)
+    expect(game.lastRejection.code).toBe("TARGET_REQUIRED")
+    expect(game.play(p1, p1.hand.cards[1], p1)).toBe(false)
+    expect(game.lastRejection.code).toBe("INVALID_TARGET")
+
+    expect(game.play(p1, p1.hand.cards[1], p3)).toBe(true)
+    expect(p1.hand).toBe(p3Hand)
+    expect(p3.hand.cards.map(c => c.value.value)).toEqual([values.ONE])
+    expect(p2.hand.cards.length).toBe(7)
+    expect(swaps).toEqual([[["Player 1", "Player 3"], ["Player 3", "Player 1"]]])
+    expect(game.currentPlayer).toBe(p2)
+})
+
+test('A 0 passes all hands in the direction of play', () => {
+    let { game, swaps } = createGame()
+    let [p1, p2, p3] = game.players
+    setHand(p1, [[colors.RED, values.ZERO], [colors.BLUE, values.ONE]])
+    let hands = game.players.map(p => p.hand)
+
+    game.rotation = "CCW"
+    expect(game.play(p1, p1.hand.cards[1])).toBe(true)
+    expect(p3.hand).toBe(hands[0])
+    expect(p2.hand).toBe(hands[2])
+    expect(p1.hand).toBe(hands[1])
+    expect(swaps).toEqual([[["Player 1", "Player 3"], ["Player 2", "Player 1"], ["Player 3", "Player 2"]]])
+})
+
+test('No swap without the rule or when going out', () => {
+    let { game, swaps } = createGame()
+    let p1 = game.players[0]
+    game.config.setSevenO(false)
+    setHand(p1, [[colors.RED, values.SEVEN], [colors.BLUE, values.ONE]])
+    expect(game.play(p1, p1.hand.cards[1])).toBe(true)
+    expect(swaps).toEqual([])
+
+    game.config.setSevenO(true)
+    game.currentPlayer = p1
+    setHand(p1, [[colors.RED, values.SEVEN]])
+    expect(game.play(p1, p1.hand.cards[0])).toBe(true)
+    expect(game.state).toBe("FINISHED")
+    expect(swaps).toEqual([])
+})
+
+test('Legal actions and bots choose a target', () => {
+    let bot = new GreedyBot("Bot", 0)
+    let { game } = createGame([bot, "Player 2", "Player 3"])
+    let [, p2, p3] = game.players
+    setHand(bot, [[colors.RED, values.SEVEN], [colors.BLUE, values.ONE]])
+    setHand(p3, [[colors.GREEN, values.TWO], [colors.GREEN, values.THREE]])
+
+    let plays = game.getLegalActions(bot).filter(a => a.type === "PLAY")
+    expect(plays.map(a => a.target)).toEqual([1, 2])
+    expect(game.apply({ type: "PLAY", player: 0, card: plays[0].card, target: 7 }).reason).toBe("INVALID_TARGET")
+
+    expect(bot.takeTurn(game)).toBe(true)
+    expect(bot.hand.cards.length).toBe(2)
+    expect(p3.hand.cards.map(c => c.value.value)).toEqual([values.ONE])
+    expect(p2.hand.cards.length).toBe(7)
+})
+
+test('Bots choose a target by seat when they keep the default id', () => {
+    let bot = new GreedyBot("Bot")
+    let { game, swaps } = createGame(["Player 1", bot, "Player 3"])
+    let p3 = game.players[2]
+    game.currentPlayer = bot
+    setHand(bot, [[colors.RED, values.SEVEN], [colors.BLUE, values.ONE], [colors.BLUE, values.TWO]])
+    setHand(p3, [[colors.GREEN, values.TWO], [colors.GREEN, values.THREE], [colors.GREEN, values.FOUR]])
+
+    expect(bot.takeTurn(game)).toBe(true)
+    expect(swaps).toEqual([[["Bot", "Player 3"], ["Player 3", "Bot"]]])
+    expect(bot.hand.cards.length).toBe(3)
+})
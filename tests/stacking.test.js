@@ -0,0 +1,107 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const Color = require('../src/logic/cards/Color')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+function wildDrawFour(color) {
+    let card = new Card(colors.BLACK, values.WILD_DRAW_FOUR)
+    card.wildPickedColor = new Color(color)
+    return card
+}
+
+/**
+ * Stacking with the given policy, everyone holds two green cards
+ */
+function createGame(stacking = {}) {
+    let game = createTable({ config: new Config().setStackCards(true).setStacking(stacking) })
+    for (let player of game.players) setHand(player, [[colors.GREEN, values.ONE], [colors.GREEN, values.TWO]])
+    return game
+}
+
+test('Stacking policy of cards', () => {
+    let drawTwo = new Card(colors.RED, values.DRAW_TWO)
+    let blueDrawTwo = new Card(colors.BLUE, values.DRAW_TWO)
+    let reverse = new Card(colors.RED, values.REVERSE)
+
+    expect(blueDrawTwo.isValidOn(drawTwo, true, true)).toBe(true)
+    expect(wildDrawFour(colors.RED).isValidOn(drawTwo, true, true)).toBe(false)
+    expect(wildDrawFour(colors.RED).isValidOn(drawTwo, true, { drawFourOnDrawTwo: true })).toBe(true)
+    // a played wild card has the picked color
+    let played = wildDrawFour(colors.RED)
+    played.color = played.wildPickedColor
+    expect(blueDrawTwo.isValidOn(played, true, { drawTwoOnDrawFour: true })).toBe(false)
+    expect(drawTwo.isValidOn(played, true, { drawTwoOnDrawFour: true })).toBe(true)
+    expect(reverse.isValidOn(drawTwo, true, true)).toBe(false)
+    expect(reverse.isValidOn(drawTwo, true, { reverse: true })).toBe(true)
+    expect(reverse.isValidOn(blueDrawTwo, true, { reverse: true })).toBe(false)
+})
+
+test('The next player chooses to stack or to draw the pile', () => {
+    let game = createGame()
+    let [p1, p2, p3] = game.players
+    p1.hand.addCard(new Card(colors.RED, values.DRAW_TWO))
+    p2.hand.addCard(new Card(colors.BLUE, values.DRAW_TWO))
+
+    // the pile does not depend on the hand of the next player
+    expect(game.play(p1, p1.hand.cards[0])).toBe(true)
+    expect(game.state).toBe("STACK_DRAW")
+    expect(game.currentPlayer).toBe(p2)
+    expect(game.getLegalActions(p2).map(a => a.type)).toEqual(["PLAY", "DRAW"])
+    expect(game.play(p2, p2.hand.cards[1])).toBe(false)
+
+    expect(game.play(p2, p2.hand.cards[0])).toBe(true)
+    expect(game.stackDrawAmount).toBe(4)
+    expect(game.currentPlayer).toBe(p3)
+    expect(game.getLegalActions(p3).map(a => a.type)).toEqual(["CALL_UNO", "DRAW"])
+
+    expect(game.draw(p3)).toBe(true)
+    expect(p3.hand.cards.length).toBe(6)
+    expect(game.state).toBe("PLAYING")
+    expect(game.currentPlayer).toBe(p1)
+})
+
+test('Draw Two and Wild Draw Four stack on each other', () => {
+    let game = createGame({ sameValue: false, drawTwoOnDrawFour: true, drawFourOnDrawTwo: true })
+    let [p1, p2, p3] = game.players
+    p1.hand.addCard(new Card(colors.RED, values.DRAW_TWO))
+    p2.hand.addCard(wildDrawFour(colors.YELLOW))
+    p3.hand.addCard(new Card(colors.YELLOW, values.DRAW_TWO))
+
+    expect(game.play(p1, p1.hand.cards[0])).toBe(true)
+    expect(game.play(p2, p2.hand.cards[0])).toBe(true)
+    // no challenge while stacking
+    expect(game.state).toBe("STACK_DRAW")
+    expect(game.play(p3, p3.hand.cards[0])).toBe(true)
+    expect(game.stackDrawAmount).toBe(8)
+    expect(game.currentPlayer).toBe(p1)
+})
+
+test('Reverse and Skip pass the pile on', () => {
+    let game = createGame({ reverse: true, skip: true })
+    let [p1, p2, p3] = game.players
+    p1.hand.addCard(new Card(colors.RED, values.DRAW_TWO))
+    p2.hand.addCard(new Card(colors.RED, values.REVERSE))
+    p1.hand.addCard(new Card(colors.RED, values.SKIP))
+
+    expect(game.play(p1, p1.hand.cards[1])).toBe(true)
+    expect(game.play(p2, p2.hand.cards[0])).toBe(true)
+    expect(game.rotation).toBe("CCW")
+    expect(game.currentPlayer).toBe(p1)
+    expect(game.state).toBe("STACK_DRAW")
+
+    expect(game.play(p1, p1.hand.cards[0])).toBe(true)
+    expect(game.currentPlayer).toBe(p3)
+    expect(game.draw(p3)).toBe(true)
+    expect(p3.hand.cards.length).toBe(4)
+    expect(game.currentPlayer).toBe(p2)
+})
+
+test('Stacking rules are saved', () => {
+    let game = createGame({ skip: true })
+    let loaded = Game.fromJSON(JSON.stringify(game), new Config())
+    expect(loaded.config.stacking).toEqual({ sameValue: true, drawTwoOnDrawFour: false, drawFourOnDrawTwo: false, reverse: false, skip: true })
+})
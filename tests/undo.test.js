@@ -0,0 +1,161 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Color = require('../src/logic/cards/Color')
+const RedoEvent = require('../src/events/RedoEvent')
+const UndoEvent = require('../src/events/UndoEvent')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+const handOf = player => player.hand.cards.map(String)
+
+/**
+ * Table where the last 20 actions can be undone
+ */
+function createGame() {
+    return createTable({ config: new Config().setUndoLimit(20) })
+}
+
+test('Actions are undone and redone', () => {
+    let game = createGame()
+    let [p1, p2] = game.players
+    let log = []
+    game.eventManager.addEvent(new UndoEvent(entry => log.push(["undo", entry.type])))
+    game.eventManager.addEvent(new RedoEvent(entry => log.push(["redo", entry.type])))
+    setHand(p1, [[colors.BLACK, values.WILD], [colors.RED, values.ONE], [colors.BLUE, values.TWO]])
+    let hand = handOf(p1)
+    let turn = game.turn
+
+    let wild = p1.hand.cards[2]
+    wild.wildPickedColor = new Color(colors.GREEN)
+    expect(game.play(p1, wild)).toBe(true)
+    let after = JSON.stringify(game)
+    expect(game.currentPlayer).toBe(p2)
+
+    expect(game.undo()).toBe(true)
+    expect(handOf(p1)).toEqual(hand)
+    expect(game.discardedCards.getTopCard().toString()).toBe("RED FIVE")
+    expect(game.currentPlayer).toBe(p1)
+    expect(game.turn).toBe(turn)
+    expect(game.history()).toEqual([])
+    expect(game.undo()).toBe(false)
+    expect(game.lastRejection.code).toBe("NOTHING_TO_UNDO")
+
+    expect(game.redo()).toBe(true)
+    expect(JSON.stringify(game)).toBe(after)
+    expect(game.redo()).toBe(false)
+    expect(game.lastRejection.code).toBe("NOTHING_TO_REDO")
+    expect(log).toEqual([["undo", "PLAY"], ["redo", "PLAY"]])
+
+    let [entry] = game.history()
+    expect(entry).toEqual(expect.objectContaining({ type: "PLAY", turn, player: 0, cardIndex: 2, color: colors.GREEN, reshuffled: false }))
+    expect(entry.card.value).toBe(values.WILD)
+    expect(Object.isFrozen(entry) && Object.isFrozen(entry.card)).toBe(true)
+})
+
+test('Players keep their instance and a new action drops the redo', () => {
+    let game = createGame()
+    let [p1, p2] = game.players
+    setHand(p1, [[colors.RED, values.ONE], [colors.BLUE, values.TWO]])
+
+    expect(game.play(p1, p1.hand.cards[1])).toBe(true)
+    expect(game.callUno(p1)).toBe(true)
+    expect(game.undo()).toBe(true)
+    expect(p1.saidUno).toBe(false)
+    expect(game.players[0]).toBe(p1)
+
+    expect(game.draw(p2)).toBe(true)
+    expect(game.redo()).toBe(false)
+    expect(game.history().map(e => e.type)).toEqual(["PLAY", "DRAW"])
+})
+
+test('Only whole actions that changed the game are recorded', () => {
+    let game = createGame()
+    let [p1, p2] = game.players
+    setHand(p1, [[colors.BLACK, values.WILD_DRAW_FOUR], [colors.BLUE, values.TWO]])
+    let p2Hand = handOf(p2)
+
+    // rejected
+    expect(game.play(p1, p1.hand.cards[0])).toBe(false)
+    expect(game.draw(p2)).toBe(false)
+    expect(game.history()).toEqual([])
+
+    let card = p1.hand.cards[1]
+    card.wildPickedColor = new Color(colors.BLUE)
+    expect(game.play(p1, card)).toBe(true)
+    expect(game.accept(p2)).toBe(true)
+    expect(p2.hand.cards.length).toBe(p2Hand.length + 4)
+    // the draw of the accepted card is part of the accept
+    expect(game.history().map(e => e.type)).toEqual(["PLAY", "ACCEPT"])
+
+    expect(game.undo()).toBe(true)
+    expect(handOf(p2)).toEqual(p2Hand)
+    expect(game.state).toBe("CONTEST")
+})
+
+test('Reshuffles are recorded with the draw and undone with it', () => {
+    let game = createGame()
+    let p1 = game.players[0]
+    let discarded = game.discardedCards.cards.length
+    game.discardedCards.cards.push(...game.decks[0].cards.splice(0))
+
+    expect(game.draw(p1)).toBe(true)
+    expect(game.history()[0]).toEqual(expect.objectContaining({ type: "DRAW", cards: 1, reshuffled: true }))
+    expect(game.undo()).toBe(true)
+    expect(game.decks[0].cards.length).toBe(0)
+    expect(game.discardedCards.cards.length).toBeGreaterThan(discarded)
+})
+
+test('A finished game can be rolled back', () => {
+    let game = createGame()
+    let p1 = game.players[0]
+    setHand(p1, [[colors.RED, values.ONE]])
+
+    expect(game.play(p1, p1.hand.cards[0])).toBe(true)
+    expect(game.state).toBe("FINISHED")
+    expect(game.undo()).toBe(true)
+    expect(game.state).toBe("PLAYING")
+    expect(game.winner).toBe(null)
+    expect(game.finishOrder).toEqual([])
+})
+
+test('Undo is limited and survives saving and loading', () => {
+    let game = createTable({ config: new Config().setUndoLimit(2) })
+    let [p1, p2, p3] = game.players
+    expect(game.draw(p1)).toBe(true)
+    expect(game.draw(p2)).toBe(true)
+    expect(game.draw(p3)).toBe(true)
+    expect(game.undo()).toBe(true)
+
+    let loaded = Game.fromJSON(JSON.stringify(game), new Config())
+    expect(loaded.history()).toEqual(game.history())
+    expect(loaded.redo()).toBe(true)
+    expect(loaded.players[2].hand.cards.length).toBe(p3.hand.cards.length + 1)
+
+    expect(loaded.undo()).toBe(true)
+    expect(loaded.undo()).toBe(true)
+    // the first draw is beyond the limit
+    expect(loaded.undo()).toBe(false)
+    expect(loaded.history().map(e => e.player)).toEqual([0])
+
+    // undo is off by default, no snapshots are taken or saved
+    let off = createTable()
+    expect(off.config.undoLimit).toBe(0)
+    expect(off.draw(off.players[0])).toBe(true)
+    expect(off.history().length).toBe(1)
+    expect(off.undo()).toBe(false)
+    expect(off.toJSON().history.done[0].before).toBe(null)
+})
+
+test('A wild card taken back loses its picked color', () => {
+    let game = createGame()
+    let p1 = game.players[0]
+    setHand(p1, [[colors.BLACK, values.WILD], [colors.BLUE, values.TWO]])
+
+    expect(game.apply({ type: "PLAY", player: 0, card: p1.hand.cards[1], color: colors.GREEN }).success).toBe(true)
+    expect(game.undo()).toBe(true)
+    let wild = p1.hand.cards.find(c => c.wild)
+    expect(wild.color.color).toBe(colors.BLACK)
+    expect(wild.wildPickedColor.color).toBe(colors.BLACK)
+})
@@ -0,0 +1,107 @@
+const { expect, test } = require('@jest/globals')
+const Config = require('../src/Config')
+const Game = require('../src/logic/Game')
+const Card = require('../src/logic/cards/Card')
+const Deck = require('../src/logic/cards/Deck')
+const PlayerUnoEvent = require('../src/events/PlayerUnoEvent')
+const PlayerUnoCatchEvent = require('../src/events/PlayerUnoCatchEvent')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { setHand, createTable } = require('./helpers')
+
+/**
+ * Leaves the current player with two red cards on a red five
+ */
+function prepareTwoCards(game) {
+    game.discardedCards.addCard(new Card(colors.RED, values.FIVE))
+    let player = game.currentPlayer
+    player.hand = new Deck()
+    player.hand.addCard(new Card(colors.RED, values.ONE))
+    player.hand.addCard(new Card(colors.RED, values.TWO))
+    return player
+}
+
+test('Saying UNO before playing the second to last card', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"])
+    game.start()
+
+    let called = []
+    game.eventManager.addEvent(new PlayerUnoEvent(player => called.push(player)))
+
+    let player = prepareTwoCards(game)
+    expect(game.callUno(game.getNextPlayer())).toBe(false)
+    expect(game.callUno(player)).toBe(true)
+    expect(game.callUno(player)).toBe(false)
+    expect(called).toEqual([player])
+
+    expect(game.play(player, player.hand.cards[0])).toBe(true)
+    expect(game.unoCatchable).toBe(null)
+    expect(game.catchUno(game.currentPlayer, player)).toBe(false)
+    expect(player.hand.cards.length).toBe(1)
+})
+
+test('Catching a player that forgot to say UNO', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"], new Config().setUnoPenalty(4))
+    game.start()
+
+    let caught = []
+    game.eventManager.addEvent(new PlayerUnoCatchEvent((accuser, target, cards) => {
+        caught.push({ accuser, target, cards })
+    }))
+
+    let player = prepareTwoCards(game)
+    expect(game.play(player, player.hand.cards[0])).toBe(true)
+    expect(game.unoCatchable).toBe(player)
+
+    let accuser = game.currentPlayer
+    expect(game.catchUno(player, player)).toBe(false)
+    expect(game.catchUno(accuser, player)).toBe(true)
+    expect(player.hand.cards.length).toBe(5)
+    expect(game.currentPlayer).toBe(accuser)
+
+    expect(caught.length).toBe(1)
+    expect(caught[0].target).toBe(player)
+    expect(caught[0].cards.length).toBe(4)
+
+    // cannot be caught twice
+    expect(game.catchUno(accuser, player)).toBe(false)
+})
+
+test('Grace window closes when the next player acts', () => {
+    let game = new Game(["Player 1", "Player 2", "Player 3"])
+    game.start()
+
+    let player = prepareTwoCards(game)
+    expect(game.play(player, player.hand.cards[0])).toBe(true)
+
+    // saying UNO late but before anyone acts is still safe
+    let late = new Game(["Player 1", "Player 2"])
+    late.start()
+    let latePlayer = prepareTwoCards(late)
+    late.play(latePlayer, latePlayer.hand.cards[0])
+    expect(late.callUno(latePlayer)).toBe(true)
+    expect(late.catchUno(late.players.find(p => p !== latePlayer), latePlayer)).toBe(false)
+
+    expect(game.draw(game.currentPlayer)).toBe(true)
+    expect(game.unoCatchable).toBe(null)
+    expect(game.catchUno(game.currentPlayer, player)).toBe(false)
+    expect(player.hand.cards.length).toBe(1)
+})
+
+test('Catching a player while a draw pile is pending leaves the pile', () => {
+    let game = createTable({ config: new Config().setStackCards(true) })
+    let [p1, p2, p3] = game.players
+    setHand(p1, [[colors.GREEN, values.ONE], [colors.RED, values.DRAW_TWO]])
+    setHand(p2, [[colors.GREEN, values.TWO]])
+
+    expect(game.play(p1, p1.hand.cards[0])).toBe(true)
+    expect(game.catchUno(p3, p1)).toBe(true)
+    expect(p1.hand.cards.length).toBe(1 + game.config.unoPenalty)
+    expect(game.state).toBe("STACK_DRAW")
+    expect(game.stackDrawAmount).toBe(2)
+
+    expect(game.draw(p2)).toBe(true)
+    expect(p2.hand.cards.length).toBe(3)
+    expect(game.stackDrawAmount).toBe(0)
+    expect(game.currentPlayer).toBe(p3)
+})
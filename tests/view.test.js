@@ -0,0 +1,73 @@
+const { expect, test } = require('@jest/globals')
+const Card = require('../src/logic/cards/Card')
+const Color = require('../src/logic/cards/Color')
+const Deck = require('../src/logic/cards/Deck')
+const Player = require('../src/logic/players/Player')
+const colors = require('../src/constants/colors')
+const values = require('../src/constants/values')
+const { createTable } = require('./helpers')
+
+test('A player only sees their own hand', () => {
+    let game = createTable()
+    let view = game.getView(game.players[1])
+
+    expect(view.me).toBe(1)
+    expect(view.hand).toEqual(game.players[1].hand.cards)
+    expect(view.currentPlayer).toBe(0)
+    expect(view.nextPlayer).toBe(1)
+    expect(view.players.map(p => p.cardCount)).toEqual([7, 7, 7])
+    expect(view.topCard.value.value).toBe(values.FIVE)
+    expect(view.discardPile[0]).toBe(view.topCard)
+    expect(view.drawPileSize).toBe(game.decks[0].cards.length)
+
+    // nothing but the own hand leaks into the serialized view
+    let json = JSON.stringify(view)
+    expect(json).not.toContain('"decks"')
+    expect(JSON.parse(json).players[0]).toEqual({ id: 0, name: "Player 1", cardCount: 7, saidUno: false, finished: false })
+
+    // not their turn
+    expect(view.legalActions).toEqual([])
+})
+
+test('Spectators see no hands', () => {
+    let game = createTable()
+    let view = game.getView()
+
+    expect(view.me).toBe(null)
+    expect(view.hand).toBe(null)
+    expect(view.legalActions).toEqual([])
+    expect(() => game.getView(new Player("Stranger", 9))).toThrow("Player is not part of this game")
+})
+
+test('Legal actions of the current player', () => {
+    let game = createTable()
+    let player = game.players[0]
+    player.hand = new Deck()
+    player.hand.addCard(new Card(colors.BLUE, values.ONE))
+    player.hand.addCard(new Card(colors.RED, values.TWO))
+    player.hand.addCard(new Card(colors.BLACK, values.WILD))
+
+    let actions = game.getView(player).legalActions
+    expect(actions.map(a => a.card?.value.value ?? a.type)).toEqual([values.WILD, values.WILD, values.WILD, values.WILD, values.TWO, "DRAW"])
+
+    // two cards on the own turn allow saying UNO, the next player can catch afterwards
+    player.hand.removeCard(player.hand.cards[0])
+    expect(game.getView(player).legalActions[0]).toEqual({ type: "CALL_UNO", player: 0 })
+    expect(game.play(player, player.hand.cards[0])).toBe(true)
+    expect(game.getView(game.players[2]).legalActions[0]).toEqual({ type: "CATCH_UNO", player: 2, target: 0 })
+    expect(game.getView(game.players[2]).unoCatchable).toBe(0)
+})
+
+test('Contest view hides the hand of the challenged player', () => {
+    let game = createTable()
+    let player = game.players[0]
+    let wild = new Card(colors.BLACK, values.WILD_DRAW_FOUR)
+    wild.wildPickedColor = new Color(colors.BLUE)
+    player.hand.addCard(wild)
+    expect(game.play(player, wild)).toBe(true)
+
+    let view = game.getView(game.players[1])
+    expect(view.state).toBe("CONTEST")
+    expect(view.contest).toEqual({ player: 0, victim: 1 })
+    expect(view.legalActions).toEqual([{ type: "CHALLENGE", player: 1 }, { type: "ACCEPT", player: 1 }])
+})
@@ -65,7 +65,7 @@ test('getNextPlayer', () => {
 })
 
 test('fromJson', () => {
-    let invalidText = "Invalid JSON: {0}. You can only import a game that was exported or you did something wrong. with manual editing of the JSON."
+    let invalidText = "Invalid JSON: {0}. You can only import a game that was exported or you did something wrong."
 
     let config = new Config()
 